@@ -5,3 +5,5 @@ export { epubToMarkdown, htmlToMarkdown } from "./lib/epub-to-markdown.js";
 export { pdfToMarkdown } from "./lib/pdf-to-markdown.js";
 export { srtToMarkdown, getSRTStats } from "./lib/srt-to-markdown.js";
 export { txtToMarkdown, getTXTStats } from "./lib/txt-to-markdown.js";
+export { createServer } from "./lib/server.js";
+export { InvalidArgumentError, NotFoundError } from "./lib/errors.js";
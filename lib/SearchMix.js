@@ -4,14 +4,74 @@ import path from "node:path";
 import crypto from "node:crypto";
 import { franc } from "franc";
 import { extractMarkdownFields } from "./parser.js";
-import { scanDirectorySync, getPathType, getFileExtension } from "./scanner.js";
+import { scanDirectorySync, getPathType, getFileExtension, SUPPORTED_EXTENSIONS } from "./scanner.js";
 import { epubToMarkdown } from "./epub-to-markdown.js";
 import { pdfToMarkdown } from "./pdf-to-markdown.js";
 import { srtToMarkdown } from "./srt-to-markdown.js";
 import { txtToMarkdown } from "./txt-to-markdown.js";
 import { readFileWithEncoding } from "./encoding-utils.js";
 import { glob } from "glob";
+import micromatch from "micromatch";
 import { Snippet } from "./Snippet.js";
+import { Watcher } from "./watcher.js";
+import { parseFrontMatter, extractFrontMatterTags, extractHashtags } from "./front-matter.js";
+import { parseSimpleQuery, compileSimpleQuery, compileQuery, findQueryErrors, parseQueryTerms } from "./query.js";
+import { resolveDateRange, filenameDate, compileDatePattern, DEFAULT_FILENAME_DATE_PATTERN } from "./date-range.js";
+import { alignSnippet, stripMarkdown, isInLinkDestination, skipLinkDestination, SNIPPET_BOUNDARIES } from "./snippet-text.js";
+import { InvalidArgumentError, NotFoundError } from "./errors.js";
+import { editDistance, maxEdits, queryWords, prefixEnd, candidatePrefixes } from "./suggest.js";
+
+// Columns of the docs_fts table. New columns are appended at the end so
+// databases created by older versions can be migrated (see _migrateDatabase)
+const FTS_COLUMNS = [
+  "path UNINDEXED",
+  "title UNINDEXED",
+  "h1 UNINDEXED",
+  "h2 UNINDEXED",
+  "h3 UNINDEXED",
+  "h4 UNINDEXED",
+  "h5 UNINDEXED",
+  "h6 UNINDEXED",
+  "body UNINDEXED",
+  "title_normalized",
+  "h1_normalized",
+  "h2_normalized",
+  "h3_normalized",
+  "h4_normalized",
+  "h5_normalized",
+  "h6_normalized",
+  "body_normalized",
+  "collection UNINDEXED",
+  "structure UNINDEXED",
+  "sections_index UNINDEXED",
+  "mtime UNINDEXED",
+  "metadata UNINDEXED",
+  "language UNINDEXED",
+  "headings_normalized"
+];
+
+// BM25 weights of the indexed columns, by field name
+const DEFAULT_WEIGHTS = { title: 10.0, h1: 9.0, h2: 7.0, h3: 5.0, h4: 3.0, h5: 2.0, h6: 1.5, body: 1.0, headings: 0 };
+
+// Sections searched by each field prefix, for locating matches in snippets
+const FIELD_SECTIONS = {
+  title: ['title'],
+  h1: ['h1'],
+  h2: ['h2'],
+  h3: ['h3'],
+  h4: ['h4'],
+  h5: ['h5'],
+  h6: ['h6'],
+  headings: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
+  body: ['body']
+};
+
+// Vocabulary terms compared with a misspelled word per prefix range (see
+// candidatePrefixes), bounding the cost of suggestions on large indexes
+const SUGGEST_SCAN_LIMIT = 100000;
+
+// File type of a document derived from its path. Buffers hold Markdown.
+const TYPE_SQL = `CASE ${SUPPORTED_EXTENSIONS.map(ext => `WHEN lower(path) LIKE '%.${ext}' THEN '${ext}'`).join(' ')} WHEN path LIKE 'buffer://%' THEN 'md' END`;
 
 export class SearchMix {
   /**
@@ -19,16 +79,22 @@ export class SearchMix {
    * @param {object} options - Configuration options
    * @param {string} options.dbPath - Path to SQLite database (default: "./db/searchmix.db")
    * @param {boolean} options.includeCodeBlocks - Include code blocks in body (default: false)
-   * @param {object} options.weights - BM25 weights for scoring
+   * @param {object} options.weights - BM25 weights for scoring: title, h1-h6, headings (all headings) and body. Missing fields keep their default.
+   * @param {boolean} options.promoteFrontMatter - Merge front matter tags and inline #hashtags into tags, and use the front matter title as title (default: false)
+   * @param {RegExp|string} options.filenameDatePattern - Date in file names for dateRange field "filename", with groups year, month and day (default: YYYY-MM-DD, YYYY-MM or YYYYMMDD)
    */
   constructor({
     dbPath = "./db/searchmix.db",
     includeCodeBlocks = false,
-    weights = { title: 10.0, h1: 9.0, h2: 7.0, h3: 5.0, h4: 3.0, h5: 2.0, h6: 1.5, body: 1.0 }
+    weights = DEFAULT_WEIGHTS,
+    promoteFrontMatter = false,
+    filenameDatePattern = DEFAULT_FILENAME_DATE_PATTERN
   } = {}) {
     this.dbPath = path.resolve(dbPath);
     this.includeCodeBlocks = includeCodeBlocks;
-    this.weights = weights;
+    this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+    this.promoteFrontMatter = promoteFrontMatter;
+    this.filenameDatePattern = compileDatePattern(filenameDatePattern);
 
     // Ensure database directory exists
     const dbDir = path.dirname(this.dbPath);
@@ -39,6 +105,18 @@ export class SearchMix {
     // Initialize database
     this.db = new Database(this.dbPath);
     this._initializeDatabase();
+
+    // Dates in file names, for dateRange filters (pattern source and flags, or null for the default)
+    const patterns = new Map();
+    this.db.function('filename_date', { deterministic: true }, (documentPath, source, flags) => {
+      if (source === null) return filenameDate(documentPath, this.filenameDatePattern);
+      const key = `${flags}/${source}`;
+      if (!patterns.has(key)) patterns.set(key, new RegExp(source, flags));
+      return filenameDate(documentPath, patterns.get(key));
+    });
+
+    // Spelling distance between indexed terms and query words, for suggestions
+    this.db.function('edit_distance', { deterministic: true }, (a, b, max) => editDistance(a, b, max));
   }
 
   /**
@@ -53,6 +131,79 @@ export class SearchMix {
       .toLowerCase();
   }
 
+  /**
+   * Normalize text like _normalizeText, keeping for every normalized
+   * character the offset of the original character it comes from
+   * @param {string} text - Original text
+   * @returns {{ text: string, starts: number[] }} Normalized text, and original offsets (one more than its length)
+   * @private
+   */
+  _normalizeWithOffsets(text) {
+    let normalized = '';
+    const starts = [];
+    let index = 0;
+    for (const char of text || '') {
+      const part = this._normalizeText(char);
+      for (let i = 0; i < part.length; i++) {
+        starts.push(index);
+      }
+      normalized += part;
+      index += char.length;
+    }
+    starts.push(index);
+    return { text: normalized, starts };
+  }
+
+  /**
+   * Find the matches of the search terms in a snippet text.
+   * Offsets are relative to the original (accented) text.
+   * @param {string} text - Snippet text
+   * @param {Array} searchTerms - Terms from _getSearchTerms
+   * @param {string} sectionType - Section the snippet comes from (terms scoped to other fields are skipped)
+   * @returns {Array<{ start: number, end: number, term: string }>} Non-overlapping matches in text order
+   * @private
+   */
+  _findHighlights(text, searchTerms, sectionType) {
+    const { text: normalizedText, starts } = this._normalizeWithOffsets(text);
+
+    const matches = [];
+    for (const termObj of searchTerms) {
+      if (termObj.sections && !termObj.sections.includes(sectionType)) continue;
+
+      // A copy: callers may be iterating over termObj.regex
+      for (const match of normalizedText.matchAll(new RegExp(termObj.regex))) {
+        if (match[0].length === 0) continue;
+        // A NEAR window highlights its terms, not the words in between
+        const hits = termObj.parts
+          ? termObj.parts.flatMap(part => [...match[0].matchAll(new RegExp(part.regex))]
+            .map(hit => ({ index: match.index + hit.index, length: hit[0].length, term: part.text })))
+          : [{ index: match.index, length: match[0].length, term: termObj.text }];
+
+        for (const hit of hits) {
+          // Prefix terms highlight the whole word
+          let end = hit.index + hit.length;
+          while (end < normalizedText.length && /[\p{L}\p{N}_]/u.test(normalizedText[end])) {
+            end++;
+          }
+          matches.push({ start: starts[hit.index], end: starts[end], term: hit.term });
+        }
+      }
+    }
+
+    // Overlapping matches (e.g. "java" and "java*") become one highlight
+    matches.sort((a, b) => a.start - b.start || b.end - a.end);
+    const highlights = [];
+    for (const match of matches) {
+      const last = highlights[highlights.length - 1];
+      if (last && match.start < last.end) {
+        last.end = Math.max(last.end, match.end);
+      } else {
+        highlights.push(match);
+      }
+    }
+    return highlights;
+  }
+
   /**
    * Normalize search query (handle FTS5 operators and normalize terms)
    * @private
@@ -84,6 +235,11 @@ export class SearchMix {
         return part;
       }
       
+      // NEAR is an operator only in upper case
+      if (part.startsWith('NEAR(')) {
+        return `NEAR(${this._normalizeText(part.slice(5))}`;
+      }
+
       // Check if this is a field:value pattern
       if (part.includes(':')) {
         const [field, ...valueParts] = part.split(':');
@@ -131,31 +287,99 @@ export class SearchMix {
    * @private
    */
   _initializeDatabase() {
+    const hasTagsTable = this.db.prepare(`
+      SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'docs_tags'
+    `).get();
+
     this.db.exec(`
       CREATE VIRTUAL TABLE IF NOT EXISTS docs_fts USING fts5(
-        path UNINDEXED,
-        title UNINDEXED,
-        h1 UNINDEXED,
-        h2 UNINDEXED,
-        h3 UNINDEXED,
-        h4 UNINDEXED,
-        h5 UNINDEXED,
-        h6 UNINDEXED,
-        body UNINDEXED,
-        title_normalized,
-        h1_normalized,
-        h2_normalized,
-        h3_normalized,
-        h4_normalized,
-        h5_normalized,
-        h6_normalized,
-        body_normalized,
-        collection UNINDEXED,
-        structure UNINDEXED,
-        sections_index UNINDEXED,
-        mtime UNINDEXED
+        ${FTS_COLUMNS.join(",\n        ")}
+      );
+
+      CREATE TABLE IF NOT EXISTS docs_hashes (
+        path TEXT PRIMARY KEY,
+        hash TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS docs_hashes_hash ON docs_hashes (hash);
+
+      CREATE TABLE IF NOT EXISTS docs_tags (
+        path TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (path, tag)
       );
+
+      CREATE INDEX IF NOT EXISTS docs_tags_tag ON docs_tags (tag);
+
+      CREATE VIRTUAL TABLE IF NOT EXISTS docs_vocab USING fts5vocab(docs_fts, row);
     `);
+
+    this._migrateDatabase();
+
+    if (!hasTagsTable) {
+      // Databases created by older versions only have the collection JSON
+      this.db.exec(`
+        INSERT OR IGNORE INTO docs_tags (path, tag)
+        SELECT docs_fts.path, tag.value FROM docs_fts, json_each(docs_fts.collection) AS tag
+      `);
+    }
+  }
+
+  /**
+   * Add columns introduced by newer versions to an existing docs_fts table.
+   * FTS5 tables cannot be altered, so the table is rebuilt and rows are copied.
+   * @private
+   */
+  _migrateDatabase() {
+    const existing = this.db.prepare(`PRAGMA table_info(docs_fts)`).all().map(column => column.name);
+    const expected = FTS_COLUMNS.map(column => column.split(" ")[0]);
+    if (expected.every(column => existing.includes(column))) {
+      return;
+    }
+
+    const shared = expected.filter(column => existing.includes(column)).join(", ");
+    const migrate = this.db.transaction(() => {
+      this.db.exec(`
+        ALTER TABLE docs_fts RENAME TO docs_fts_old;
+        CREATE VIRTUAL TABLE docs_fts USING fts5(${FTS_COLUMNS.join(", ")});
+        INSERT INTO docs_fts (${shared}) SELECT ${shared} FROM docs_fts_old;
+        DROP TABLE docs_fts_old;
+      `);
+
+      if (!existing.includes('headings_normalized')) {
+        this.db.exec(`
+          UPDATE docs_fts SET headings_normalized = trim(
+            coalesce(h1_normalized, '') || char(10) || coalesce(h2_normalized, '') || char(10) ||
+            coalesce(h3_normalized, '') || char(10) || coalesce(h4_normalized, '') || char(10) ||
+            coalesce(h5_normalized, '') || char(10) || coalesce(h6_normalized, ''),
+            char(10)
+          )
+        `);
+      }
+
+      if (!existing.includes('metadata')) {
+        // Front matter was indexed as body text: mark files stale so the next
+        // addDocument reparses them (_isModified sees no mtime and no hash)
+        this.db.exec(`
+          DELETE FROM docs_hashes WHERE path IN (SELECT path FROM docs_fts);
+          UPDATE docs_fts SET mtime = NULL;
+        `);
+      }
+
+      if (!existing.includes('language')) {
+        // Indexing added the detected language to the tags: detect it again
+        // and keep it when that tag is there, so it is not taken for a user tag
+        const rows = this.db.prepare(`SELECT rowid, body, collection FROM docs_fts`).all();
+        const update = this.db.prepare(`UPDATE docs_fts SET language = ? WHERE rowid = ?`);
+        for (const row of rows) {
+          const language = this._detectLanguage(row.body);
+          if (language && JSON.parse(row.collection || '[]').includes(language)) {
+            update.run(language, row.rowid);
+          }
+        }
+      }
+    });
+    migrate();
   }
 
   /**
@@ -168,6 +392,7 @@ export class SearchMix {
    * @param {boolean} options.skipExisting - Skip if document already indexed (default: true)
    * @param {boolean} options.update - Update existing documents (default: false)
    * @param {boolean} options.checkModified - Check if files were modified and reindex them (default: true)
+   * @param {boolean} options.prune - Remove indexed documents under a directory that no longer exist on disk (default: false)
    * @returns {Promise<SearchMix>} Returns this for chaining
    */
   async addDocument(pathOrBuffer, {
@@ -176,7 +401,8 @@ export class SearchMix {
     recursive = true,
     skipExisting = true,
     update = false,
-    checkModified = true
+    checkModified = true,
+    prune = false
   } = {}) {
     const normalizedTags = this._normalizeTags(tags);
 
@@ -199,6 +425,10 @@ export class SearchMix {
     if (pathInfo.isDirectory) {
       // Scan directory and index all files
       await this._indexDirectory(targetPath, normalizedTags, exclude, recursive, skipExisting, update, checkModified);
+
+      if (prune) {
+        this.prune({ root: targetPath, exclude, recursive });
+      }
     } else if (pathInfo.isFile) {
       // Check if file needs indexing/reindexing
       if (skipExisting && !update && !checkModified && this.hasDocument(targetPath)) {
@@ -207,18 +437,10 @@ export class SearchMix {
       }
       
       // Check if file was modified
-      if (checkModified && this.hasDocument(targetPath)) {
-        const fileStats = fs.statSync(targetPath);
-        const currentMtime = fileStats.mtimeMs;
-        
-        // Get stored mtime
-        const storedMtime = this._getDocumentMtime(targetPath);
-        
-        if (storedMtime && Math.abs(currentMtime - storedMtime) < 1000) {
-          // File hasn't changed (1 second tolerance for filesystem variations)
-          if (skipExisting && !update) {
-            return this;
-          }
+      if (checkModified && skipExisting && !update && this.hasDocument(targetPath)) {
+        if (!this._isModified(targetPath)) {
+          this._refreshMtime(targetPath);
+          return this;
         }
       }
       
@@ -249,15 +471,12 @@ export class SearchMix {
         } else if (update || !skipExisting) {
           // Force update/reindex
           filesToIndex.push(file);
-        } else if (checkModified && fileExists) {
-          // Check if file was modified
-          const fileStats = fs.statSync(file);
-          const currentMtime = fileStats.mtimeMs;
-          const storedMtime = this._getDocumentMtime(file);
-          
-          if (!storedMtime || Math.abs(currentMtime - storedMtime) >= 1000) {
-            // File was modified or no mtime stored (1 second tolerance)
+        } else if (checkModified) {
+          if (this._isModified(file)) {
+            // File content changed since it was indexed
             filesToIndex.push(file);
+          } else {
+            this._refreshMtime(file);
           }
         }
       }
@@ -279,6 +498,48 @@ export class SearchMix {
     }
   }
 
+  /**
+   * Watch a directory and keep the index in sync with created, modified, deleted and renamed files
+   * @param {string} dirPath - Directory to watch
+   * @param {object} options - Options
+   * @param {string|string[]} options.tags - Tags for indexed documents (default: [])
+   * @param {string[]} options.exclude - Patterns to exclude (default: ["node_modules", ".git"])
+   * @param {boolean} options.recursive - Watch subdirectories (default: true)
+   * @param {number} options.debounce - Milliseconds to wait for changes to settle (default: 300)
+   * @returns {Watcher} Watcher emitting "change" events; call close() to stop
+   */
+  watch(dirPath, {
+    tags = [],
+    exclude = ["node_modules", ".git"],
+    recursive = true,
+    debounce = 300
+  } = {}) {
+    const pathInfo = getPathType(dirPath);
+    if (!pathInfo.isDirectory) {
+      throw new Error(`Path is not a directory: ${dirPath}`);
+    }
+
+    return new Watcher(this, dirPath, {
+      tags: this._normalizeTags(tags),
+      exclude,
+      recursive,
+      debounce
+    }).start();
+  }
+
+  /**
+   * Get indexed document paths equal to or inside a path
+   * @private
+   */
+  _getDocumentPathsUnder(targetPath) {
+    const absolutePath = path.resolve(targetPath);
+    const prefix = absolutePath + path.sep;
+
+    return this.db.prepare(`
+      SELECT path FROM docs_fts WHERE path = ? OR substr(path, 1, ?) = ?
+    `).all(absolutePath, prefix.length, prefix).map(row => row.path);
+  }
+
   /**
    * Get document modification time from index
    * @private
@@ -293,25 +554,131 @@ export class SearchMix {
     return result ? result.mtime : null;
   }
 
+  /**
+   * Compute the content hash of a file
+   * @private
+   */
+  _hashFile(filePath) {
+    return crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+  }
+
+  /**
+   * Get document content hash from index
+   * @private
+   */
+  _getDocumentHash(filePath) {
+    const result = this.db.prepare(`
+      SELECT hash FROM docs_hashes WHERE path = ?
+    `).get(path.resolve(filePath));
+
+    return result ? result.hash : null;
+  }
+
+  /**
+   * Check if an indexed file changed on disk.
+   * The mtime is compared first; when it differs, the content hash decides, so
+   * touched or copied files with the same bytes are not converted again
+   * (see _refreshMtime).
+   * @private
+   */
+  _isModified(filePath) {
+    if (this._getDocumentMtime(filePath) === fs.statSync(filePath).mtimeMs) {
+      return false;
+    }
+
+    const storedHash = this._getDocumentHash(filePath);
+    return !storedHash || storedHash !== this._hashFile(filePath);
+  }
+
+  /**
+   * Store the current mtime of an unmodified file (same bytes with a new
+   * mtime after a git checkout or copy), so later checks skip the hash
+   * @private
+   */
+  _refreshMtime(filePath) {
+    const mtime = fs.statSync(filePath).mtimeMs;
+    this.db.prepare(`
+      UPDATE docs_fts SET mtime = ? WHERE path = ? AND mtime IS NOT ?
+    `).run(mtime, path.resolve(filePath), mtime);
+  }
+
+  /**
+   * Whether the stored tags of a document, without its language tag, are exactly these tags
+   * @private
+   */
+  _hasTags(filePath, tags) {
+    const row = this.db.prepare(`SELECT collection, language FROM docs_fts WHERE path = ?`).get(filePath);
+    if (!row) return false;
+
+    const stored = JSON.parse(row.collection || '[]').filter(tag => tag !== row.language);
+    return stored.length === tags.length && tags.every(tag => stored.includes(tag));
+  }
+
+  /**
+   * Find an indexed document with the same content whose file no longer exists
+   * @private
+   */
+  _findMovedDocument(filePath, hash) {
+    const candidates = this.db.prepare(`
+      SELECT path FROM docs_hashes WHERE hash = ? AND path != ?
+    `).all(hash, filePath);
+
+    const moved = candidates.find(candidate => !fs.existsSync(candidate.path));
+    return moved ? moved.path : null;
+  }
+
+  /**
+   * Update the path of an indexed document without converting it again
+   * @private
+   */
+  _moveDocument(fromPath, toPath, mtime) {
+    const move = this.db.transaction(() => {
+      this.db.prepare(`DELETE FROM docs_hashes WHERE path = ?`).run(toPath);
+      this.db.prepare(`UPDATE docs_fts SET path = ?, mtime = ? WHERE path = ?`).run(toPath, mtime, fromPath);
+      this.db.prepare(`UPDATE docs_hashes SET path = ? WHERE path = ?`).run(toPath, fromPath);
+      this.db.prepare(`DELETE FROM docs_tags WHERE path = ?`).run(toPath);
+      this.db.prepare(`UPDATE docs_tags SET path = ? WHERE path = ?`).run(toPath, fromPath);
+    });
+    move();
+  }
+
   /**
    * Index a single file
+   * @returns {Promise<string|null>} Previous path when the file was detected as moved, otherwise null
    * @private
    */
   async _indexFile(filePath, tags) {
     const ext = getFileExtension(filePath);
     
-    // Get file modification time for real files (not buffers)
+    // Get file modification time and content hash for real files (not buffers)
     let mtime = null;
+    let hash = null;
+    let movedFrom = null;
     if (!filePath.startsWith("buffer://") && fs.existsSync(filePath)) {
       const stats = fs.statSync(filePath);
       mtime = stats.mtimeMs;
+      hash = this._hashFile(filePath);
+
+      // A new path with the content of a vanished document is a move: keep its
+      // index, unless it is added with other tags. Tags derived from the content
+      // (language, front matter) are recomputed with them by a full reindex.
+      if (!this.hasDocument(filePath)) {
+        movedFrom = this._findMovedDocument(filePath, hash);
+        if (movedFrom && this._hasTags(movedFrom, tags)) {
+          this._moveDocument(movedFrom, filePath, mtime);
+          return movedFrom;
+        }
+        if (movedFrom) {
+          this.removeDocument(movedFrom);
+        }
+      }
     }
     
     if (ext === "epub") {
       // Convert EPUB to markdown (async operation)
       try {
         const markdown = await epubToMarkdown(filePath);
-        this._indexMarkdown(filePath, markdown, tags, mtime);
+        this._indexMarkdown(filePath, markdown, tags, mtime, hash);
       } catch (error) {
         console.warn(`Failed to convert EPUB ${filePath}:`, error.message);
       }
@@ -319,7 +686,7 @@ export class SearchMix {
       // Convert PDF to markdown (async operation)
       try {
         const markdown = await pdfToMarkdown(filePath);
-        this._indexMarkdown(filePath, markdown, tags, mtime);
+        this._indexMarkdown(filePath, markdown, tags, mtime, hash);
       } catch (error) {
         console.warn(`Failed to convert PDF ${filePath}:`, error.message);
       }
@@ -327,7 +694,7 @@ export class SearchMix {
       // Convert SRT to markdown (async operation)
       try {
         const markdown = await srtToMarkdown(filePath);
-        this._indexMarkdown(filePath, markdown, tags, mtime);
+        this._indexMarkdown(filePath, markdown, tags, mtime, hash);
       } catch (error) {
         console.warn(`Failed to convert SRT ${filePath}:`, error.message);
       }
@@ -335,17 +702,19 @@ export class SearchMix {
       // Convert TXT to markdown (async operation)
       try {
         const markdown = await txtToMarkdown(filePath);
-        this._indexMarkdown(filePath, markdown, tags, mtime);
+        this._indexMarkdown(filePath, markdown, tags, mtime, hash);
       } catch (error) {
         console.warn(`Failed to convert TXT ${filePath}:`, error.message);
       }
     } else if (ext === "md" || ext === "markdown") {
       // Read and index markdown with automatic encoding detection
       const markdown = readFileWithEncoding(filePath);
-      this._indexMarkdown(filePath, markdown, tags, mtime);
+      this._indexMarkdown(filePath, markdown, tags, mtime, hash);
     } else {
       throw new Error(`Unsupported file type: ${ext}`);
     }
+
+    return movedFrom;
   }
 
   /**
@@ -354,13 +723,37 @@ export class SearchMix {
    * @param {string} markdown - Markdown content
    * @param {string[]} tags - Tags array (language is auto-detected and added)
    * @param {number|null} mtime - File modification time
+   * @param {string|null} hash - File content hash
    * @private
    */
-  _indexMarkdown(filePath, markdown, tags = [], mtime = null) {
-    const { title, h1, h2, h3, h4, h5, h6, body, structure, sectionsIndex } = extractMarkdownFields(markdown, {
+  _indexMarkdown(filePath, markdown, tags = [], mtime = null, hash = null) {
+    // Front matter becomes document metadata and is not indexed as text
+    const { data: metadata, body: content } = parseFrontMatter(markdown);
+    markdown = content;
+
+    let { title, h1, h2, h3, h4, h5, h6, body, prose, structure, sectionsIndex } = extractMarkdownFields(markdown, {
       includeCodeBlocks: this.includeCodeBlocks
     });
 
+    if (this.promoteFrontMatter) {
+      // Front matter tags and inline #hashtags join the tags given to addDocument
+      // (hashtags outside code: `#define` is not a tag)
+      for (const tag of [...extractFrontMatterTags(metadata), ...extractHashtags(prose)]) {
+        if (!tags.includes(tag)) {
+          tags = [...tags, tag];
+        }
+      }
+
+      // Front matter title wins over the first H1, which stays searchable as an h1
+      const frontMatterTitle = typeof metadata.title === 'string' ? metadata.title.trim() : '';
+      if (frontMatterTitle && frontMatterTitle !== title) {
+        if (title) {
+          h1 = h1 ? `${title}\n${h1}` : title;
+        }
+        title = frontMatterTitle;
+      }
+    }
+
     // Auto-detect language and add as tag
     const detectedLang = this._detectLanguage(body || markdown);
     if (detectedLang && !tags.includes(detectedLang)) {
@@ -380,13 +773,17 @@ export class SearchMix {
     const h5Normalized = this._normalizeText(h5);
     const h6Normalized = this._normalizeText(h6);
     const bodyNormalized = this._normalizeText(markdown);  // Normalize markdown directly
+    const headingsNormalized = [h1Normalized, h2Normalized, h3Normalized, h4Normalized, h5Normalized, h6Normalized]
+      .filter(Boolean)
+      .join('\n');
 
     // Serialize structure and sections index (now using IDs, no circular references)
     const structureJSON = JSON.stringify(structure);
     const sectionsIndexJSON = JSON.stringify(sectionsIndex);
 
-    // Store tags as JSON array
+    // Store tags and metadata as JSON
     const tagsJSON = JSON.stringify(tags);
+    const metadataJSON = JSON.stringify(metadata);
 
     // Check if document already exists (prevent duplicates)
     const existing = this.db.prepare(`
@@ -398,15 +795,32 @@ export class SearchMix {
       this.db.prepare(`
         DELETE FROM docs_fts WHERE path = ?
       `).run(filePath);
+
+      this.db.prepare(`
+        DELETE FROM docs_tags WHERE path = ?
+      `).run(filePath);
     }
 
     // Insert document
     // body: markdown original if no structure, parsed text if has structure
     // body_normalized: normalized text for search
     this.db.prepare(`
-      INSERT INTO docs_fts (path, title, h1, h2, h3, h4, h5, h6, body, title_normalized, h1_normalized, h2_normalized, h3_normalized, h4_normalized, h5_normalized, h6_normalized, body_normalized, collection, structure, sections_index, mtime)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(filePath, title, h1, h2, h3, h4, h5, h6, bodyForStorage, titleNormalized, h1Normalized, h2Normalized, h3Normalized, h4Normalized, h5Normalized, h6Normalized, bodyNormalized, tagsJSON, structureJSON, sectionsIndexJSON, mtime);
+      INSERT INTO docs_fts (path, title, h1, h2, h3, h4, h5, h6, body, title_normalized, h1_normalized, h2_normalized, h3_normalized, h4_normalized, h5_normalized, h6_normalized, body_normalized, collection, structure, sections_index, mtime, metadata, language, headings_normalized)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(filePath, title, h1, h2, h3, h4, h5, h6, bodyForStorage, titleNormalized, h1Normalized, h2Normalized, h3Normalized, h4Normalized, h5Normalized, h6Normalized, bodyNormalized, tagsJSON, structureJSON, sectionsIndexJSON, mtime, metadataJSON, detectedLang, headingsNormalized);
+
+    const insertTag = this.db.prepare(`
+      INSERT OR IGNORE INTO docs_tags (path, tag) VALUES (?, ?)
+    `);
+    for (const tag of tags) {
+      insertTag.run(filePath, tag);
+    }
+
+    if (hash) {
+      this.db.prepare(`
+        INSERT OR REPLACE INTO docs_hashes (path, hash) VALUES (?, ?)
+      `).run(filePath, hash);
+    }
   }
 
   /**
@@ -421,18 +835,80 @@ export class SearchMix {
       DELETE FROM docs_fts WHERE path = ?
     `).run(absolutePath);
 
+    this.db.prepare(`
+      DELETE FROM docs_hashes WHERE path = ?
+    `).run(absolutePath);
+
+    this.db.prepare(`
+      DELETE FROM docs_tags WHERE path = ?
+    `).run(absolutePath);
+
     return this;
   }
 
+  /**
+   * Remove indexed documents whose files no longer exist on disk.
+   * With a root, stored paths under it are compared against a directory scan,
+   * so files that were deleted, moved away or are now excluded are removed.
+   * Virtual buffer:// documents are never pruned.
+   * @param {object} options - Options
+   * @param {string|null} options.root - Directory to prune (default: null, check every document)
+   * @param {string[]} options.exclude - Patterns excluded from the scan (default: ["node_modules", ".git"])
+   * @param {boolean} options.recursive - Prune subdirectories too (default: true)
+   * @returns {string[]} Paths of the removed documents
+   */
+  prune({ root = null, exclude = ["node_modules", ".git"], recursive = true } = {}) {
+    let orphaned;
+
+    if (root) {
+      const rootPath = path.resolve(root);
+      const pathInfo = getPathType(rootPath);
+      const existing = new Set(
+        pathInfo.isDirectory ? scanDirectorySync(rootPath, { exclude, recursive }) :
+        pathInfo.isFile ? [rootPath] : []
+      );
+
+      orphaned = this._getDocumentPathsUnder(rootPath)
+        .filter(docPath => recursive || path.dirname(docPath) === rootPath)
+        .filter(docPath => !existing.has(docPath));
+    } else {
+      orphaned = this.db.prepare(`
+        SELECT path FROM docs_fts WHERE path NOT LIKE 'buffer://%'
+      `).all()
+        .map(row => row.path)
+        .filter(docPath => !fs.existsSync(docPath));
+    }
+
+    const remove = this.db.transaction(paths => {
+      for (const docPath of paths) {
+        this.removeDocument(docPath);
+      }
+    });
+    remove(orphaned);
+
+    return orphaned;
+  }
+
   /**
    * Remove all documents that have a specific tag
    * @param {string} tagName - Tag name to match
    * @returns {SearchMix} Returns this for chaining
    */
   removeByTag(tagName) {
-    this.db.prepare(`
-      DELETE FROM docs_fts WHERE collection LIKE ?
-    `).run(`%"${tagName}"%`);
+    const remove = this.db.transaction(() => {
+      this.db.prepare(`
+        DELETE FROM docs_fts WHERE path IN (SELECT path FROM docs_tags WHERE tag = ?)
+      `).run(tagName);
+
+      this.db.prepare(`
+        DELETE FROM docs_hashes WHERE path NOT IN (SELECT path FROM docs_fts)
+      `).run();
+
+      this.db.prepare(`
+        DELETE FROM docs_tags WHERE path NOT IN (SELECT path FROM docs_fts)
+      `).run();
+    });
+    remove();
 
     return this;
   }
@@ -453,72 +929,326 @@ export class SearchMix {
     return JSON.parse(result.collection);
   }
 
+  /**
+   * Add tags to documents without re-indexing them
+   * @param {string} target - Document path, directory or glob pattern
+   * @param {string|string[]} tags - Tags to add
+   * @returns {string[]} Paths of the documents whose tags changed
+   */
+  addTags(target, tags) {
+    const added = this._requireTags(tags);
+    return this._editTags(this._findDocuments(target), userTags => [...userTags, ...added]);
+  }
+
+  /**
+   * Remove tags from documents without re-indexing them.
+   * Auto-detected language tags are kept.
+   * @param {string} target - Document path, directory or glob pattern
+   * @param {string|string[]} tags - Tags to remove
+   * @returns {string[]} Paths of the documents whose tags changed
+   */
+  removeTags(target, tags) {
+    const removed = this._requireTags(tags);
+    return this._editTags(this._findDocuments(target), userTags => userTags.filter(tag => !removed.includes(tag)));
+  }
+
+  /**
+   * Rename a tag on every document that has it
+   * @param {string} oldName - Current tag name
+   * @param {string} newName - New tag name
+   * @returns {string[]} Paths of the documents whose tags changed
+   */
+  renameTag(oldName, newName) {
+    return this.mergeTags([oldName], newName);
+  }
+
+  /**
+   * Replace several tags with a single target tag on every document that has any of them
+   * @param {string[]} sourceTags - Tags to merge
+   * @param {string} targetTag - Tag that replaces them
+   * @returns {string[]} Paths of the documents whose tags changed
+   */
+  mergeTags(sourceTags, targetTag) {
+    const sources = this._requireTags(sourceTags);
+    const [target] = this._requireTags(targetTag);
+
+    const placeholders = sources.map(() => '?').join(', ');
+    const paths = new Set(this.db.prepare(`
+      SELECT DISTINCT path FROM docs_tags WHERE tag IN (${placeholders})
+    `).all(...sources).map(row => row.path));
+
+    const rows = this._getTagRows().filter(row => paths.has(row.path));
+    return this._editTags(rows, userTags => userTags.map(tag => sources.includes(tag) ? target : tag));
+  }
+
+  /**
+   * List tags with the number of documents using them.
+   * Auto-detected language tags are counted separately.
+   * @returns {{ tags: object, languages: object }} Document counts by user tag and by language, most frequent first
+   */
+  listTags() {
+    const languages = {};
+    for (const row of this.db.prepare(`
+      SELECT language AS name, COUNT(*) AS count
+      FROM docs_fts
+      WHERE language IS NOT NULL
+      GROUP BY language
+    `).all()) {
+      languages[row.name] = row.count;
+    }
+
+    // Every document with a language has it among its stored tags
+    const tags = {};
+    for (const row of this.db.prepare(`
+      SELECT tag AS name, COUNT(*) AS count FROM docs_tags GROUP BY tag
+    `).all()) {
+      const count = row.count - (languages[row.name] || 0);
+      if (count > 0) {
+        tags[row.name] = count;
+      }
+    }
+
+    const byCount = counts => Object.fromEntries(
+      Object.entries(counts).sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    );
+    return { tags: byCount(tags), languages: byCount(languages) };
+  }
+
+  /**
+   * Validate a tag list for the tag management methods
+   * @private
+   */
+  _requireTags(tags) {
+    const list = this._normalizeTags(tags).map(tag => typeof tag === 'string' ? tag.trim() : tag);
+    if (list.length === 0 || list.some(tag => typeof tag !== 'string' || tag === '')) {
+      throw new InvalidArgumentError('Tags must be non-empty strings');
+    }
+    return list;
+  }
+
+  /**
+   * Stored tags of every document, read in a single scan
+   * @private
+   */
+  _getTagRows() {
+    return this.db.prepare(`
+      SELECT rowid, path, collection, language FROM docs_fts
+    `).all();
+  }
+
+  /**
+   * Find indexed documents by path, directory or glob pattern
+   * @private
+   */
+  _findDocuments(target) {
+    if (typeof target !== 'string' || target === '') {
+      throw new InvalidArgumentError('A document path or glob pattern is required');
+    }
+
+    const rows = this._getTagRows();
+    const isBuffer = target.startsWith("buffer://");
+    const absoluteTarget = isBuffer ? target : path.resolve(target);
+
+    if (micromatch.scan(target).isGlob) {
+      return rows.filter(row => micromatch.isMatch(row.path, absoluteTarget));
+    }
+    if (isBuffer) {
+      return rows.filter(row => row.path === target);
+    }
+
+    const prefix = absoluteTarget + path.sep;
+    return rows.filter(row => row.path === absoluteTarget || row.path.startsWith(prefix));
+  }
+
+  /**
+   * Rewrite the user tags of documents, keeping their language tag
+   * @param {object[]} rows - Rows from _getTagRows
+   * @param {Function} edit - Receives the user tags and returns the new ones
+   * @returns {string[]} Paths of the documents whose tags changed
+   * @private
+   */
+  _editTags(rows, edit) {
+    const updateCollection = this.db.prepare(`UPDATE docs_fts SET collection = ? WHERE rowid = ?`);
+    const deleteTags = this.db.prepare(`DELETE FROM docs_tags WHERE path = ?`);
+    const insertTag = this.db.prepare(`INSERT OR IGNORE INTO docs_tags (path, tag) VALUES (?, ?)`);
+
+    const update = this.db.transaction(() => {
+      const changed = [];
+      for (const row of rows) {
+        const tags = JSON.parse(row.collection);
+        const languageTag = row.language && tags.includes(row.language) ? row.language : null;
+        const userTags = tags.filter(tag => tag !== languageTag);
+
+        const edited = [...new Set(edit(userTags))].filter(tag => tag !== languageTag);
+        const collection = languageTag ? [...edited, languageTag] : edited;
+        if (JSON.stringify(collection) === JSON.stringify(tags)) continue;
+
+        updateCollection.run(JSON.stringify(collection), row.rowid);
+        deleteTags.run(row.path);
+        for (const tag of collection) {
+          insertTag.run(row.path, tag);
+        }
+        changed.push(row.path);
+      }
+      return changed;
+    });
+
+    return update();
+  }
+
   /**
    * Search documents
-   * @param {string} query - Search query (supports FTS5 syntax)
+   * @param {string|object} query - Search query (supports FTS5 syntax), or a structured query object (see compileQuery in query.js)
    * @param {object} options - Search options
-   * @param {number} options.limit - Maximum results (default: 20)
+   * @param {string} options.queryMode - "fts5" to pass FTS5 syntax through, or "simple" for raw end-user input (default: "fts5"). Ignored for query objects.
+   * @param {number} options.limit - Maximum documents per page, or snippets per page with pageBy "snippet" (default: 20)
+   * @param {number} options.offset - Documents to skip (default: 0)
+   * @param {string|null} options.cursor - nextCursor of a previous page of the same search (overrides offset)
+   * @param {string} options.pageBy - Page by "document" or "snippet" (default: "document")
+   * @param {string|null} options.groupBy - "document" to return one { document, snippets, matchCount } entry per document (default: null)
+   * @param {string} options.sort - Sort by "rank", "mtime", "title", "path" or "metadata.<field>" (default: "rank"). Ties are ordered by rank.
+   * @param {string} options.order - "asc" or "desc" (default: "asc"; ascending rank is best first)
    * @param {number|null} options.minScore - Minimum score threshold
-   * @param {string|string[]|null} options.tags - Filter by tag(s). Documents with matching tags + untagged docs are returned.
+   * @param {object|null} options.weights - BM25 weights for this search, merged over the constructor weights
+   * @param {object|null} options.boosts - Rank multipliers: { tags: { tag: n }, paths: { prefix: n }, types: { ext: n }, recency: { weight, halfLife } }
+   * @param {string|string[]|object|null} options.tags - Filter by tag(s): a list matches any tag, or { all, any, none }. Untagged docs are also returned unless includeUntagged is false.
+   * @param {boolean} options.includeUntagged - Return untagged (global) documents (default: true)
+   * @param {object|null} options.metadata - Filter by front matter fields, e.g. { author: "X", date: { gte: "2020-01-01" } }
+   * @param {string|object|null} options.dateRange - Filter by date: "last 30 days", or { from, to, field: "mtime" | "filename" | "metadata.<field>", pattern }
    * @param {boolean} options.snippets - Include text snippets (default: true)
    * @param {number} options.snippetLength - Characters around match (default: 150)
+   * @param {string} options.snippetBoundary - Align snippets to "word", "sentence", "paragraph" or "block" boundaries (default: "word")
    * @param {number} options.limitSnippets - Maximum snippets per document (default: 5)
    * @param {boolean} options.count - Execute COUNT query for totalCount (default: true). Set to false for faster searches when totalCount is not needed.
-   * @returns {object} Search results: { results: [Snippet, ...], totalCount: n|null, totalSnippets: m }
+   * @param {string[]|null} options.facets - Count matching documents per "tags", "type", "language" or "metadata.<field>" value (default: null)
+   * @param {number} options.suggestBelow - Add spelling suggestions when fewer documents match (default: 0, disabled). With count: false, suggestions are not checked against the index and their count is null.
+   * @returns {object} Search results: { results: [Snippet, ...] | [{ document, snippets, matchCount }, ...], totalCount: n|null, totalSnippets: m, nextCursor: string|null, facets?: { [facet]: { [value]: n } }, suggestions?: [...] }
    */
   search(query, {
+    queryMode = 'fts5',
     limit = 20,
+    offset = 0,
+    cursor = null,
+    pageBy = 'document',
+    groupBy = null,
+    sort = 'rank',
+    order = 'asc',
     minScore = null,
+    weights = null,
+    boosts = null,
     tags = null,
+    includeUntagged = true,
+    metadata = null,
+    dateRange = null,
     snippets = true,
     snippetLength = 500,
+    snippetBoundary = 'word',
     limitSnippets = 5,
-    count = true
+    count = true,
+    facets = null,
+    suggestBelow = 0
   } = {}) {
-    const { title: titleWeight, h1: h1Weight, h2: h2Weight, h3: h3Weight, h4: h4Weight, h5: h5Weight, h6: h6Weight, body: bodyWeight } = this.weights;
-
-    // Normalize query for accent and case-insensitive search
-    const normalizedQuery = this._normalizeQuery(query);
+    if (pageBy !== 'document' && pageBy !== 'snippet') {
+      throw new InvalidArgumentError(`Invalid pageBy "${pageBy}": use "document" or "snippet"`);
+    }
+    if (groupBy !== null && groupBy !== 'document') {
+      throw new InvalidArgumentError(`Invalid groupBy "${groupBy}": use "document" or null`);
+    }
+    this._checkSnippetBoundary(snippetBoundary);
+
+    // Normalize query for accent and case-insensitive search.
+    // termsQuery holds the terms used to locate matches for snippets.
+    const { normalizedQuery, termsQuery } = this._prepareQuery(query, queryMode);
+
+    // Resolve the starting position: a cursor wins over offset. It is keyed on
+    // the options rather than the SQL parameters, and keeps the time of the
+    // first page so recency boosts and relative dates do not drift between pages.
+    const cursorKey = this._cursorKey(normalizedQuery, tags, includeUntagged, metadata, dateRange, minScore, pageBy, limitSnippets, weights, boosts, sort, order);
+    const start = cursor ? this._decodeCursor(cursor, cursorKey) : null;
+    const now = start ? start.now : Date.now();
+
+    const rank = this._rankExpression(weights, boosts, normalizedQuery, now);
+    const orderBy = this._buildOrderBy(sort, order);
+    if (!normalizedQuery) {
+      // Simple mode input with nothing to match (e.g. only exclusions)
+      return {
+        results: [],
+        totalCount: count ? 0 : null,
+        totalSnippets: 0,
+        nextCursor: null,
+        ...(facets && { facets: Object.fromEntries(facets.map(facet => [facet, {}])) })
+      };
+    }
 
-    let sql = `
-      SELECT path, title, h1, h2, h3, h4, h5, h6, body, body_normalized, collection, structure, sections_index,
-             bm25(docs_fts, 0, 0, 0, 0, 0, 0, 0, 0, ?, ?, ?, ?, ?, ?, ?, ?) AS rank
-      FROM docs_fts
-      WHERE docs_fts MATCH ?
-    `;
+    // Filters shared by the results and count queries
+    let filterSql = '';
+    const filterParams = [];
 
-    const params = [titleWeight, h1Weight, h2Weight, h3Weight, h4Weight, h5Weight, h6Weight, bodyWeight, normalizedQuery];
+    // Filter by tags
+    const tagFilter = this._buildTagFilter(tags, includeUntagged);
+    filterSql += tagFilter.sql;
+    filterParams.push(...tagFilter.params);
 
-    // Normalize filter tags
-    const filterTags = tags ? (Array.isArray(tags) ? tags : [tags]) : null;
+    // Filter by front matter metadata
+    if (metadata) {
+      const metadataFilter = this._buildMetadataFilter(metadata);
+      filterSql += metadataFilter.sql;
+      filterParams.push(...metadataFilter.params);
+    }
 
-    // Filter by tags: include docs with matching tags + untagged (global) docs
-    if (filterTags && filterTags.length > 0) {
-      const tagConditions = filterTags.map(() => `collection LIKE ?`).join(' OR ');
-      sql += ` AND (collection = '[]' OR ${tagConditions})`;
-      for (const tag of filterTags) {
-        params.push(`%"${tag}"%`);
-      }
+    // Filter by date
+    if (dateRange) {
+      const dateFilter = this._buildDateFilter(dateRange, now);
+      filterSql += dateFilter.sql;
+      filterParams.push(...dateFilter.params);
     }
 
     // Filter by minimum score if specified
     if (minScore !== null) {
-      sql += ` AND bm25(docs_fts, 0, 0, 0, 0, 0, 0, 0, 0, ?, ?, ?, ?, ?, ?, ?, ?) >= ?`;
-      params.push(titleWeight, h1Weight, h2Weight, h3Weight, h4Weight, h5Weight, h6Weight, bodyWeight, minScore);
+      filterSql += ` AND ${rank.sql} >= ?`;
+      filterParams.push(...rank.params, minScore);
     }
 
-    sql += `
-      ORDER BY rank
-      LIMIT ?
-    `;
-    params.push(limit);
-
-    const results = this.db.prepare(sql).all(...params);
+    // Documents in sort order, from the start or after a row of a previous page
+    // (keyset pagination: documents added or removed meanwhile do not shift pages)
+    const select = `
+      SELECT path, title, h1, h2, h3, h4, h5, h6, body, body_normalized, collection, structure, sections_index, metadata,
+             ${rank.sql} AS rank, ${orderBy.key ?? 'NULL'} AS sort_key
+      FROM docs_fts
+      WHERE docs_fts MATCH ?${filterSql}`;
+    const statement = this.db.prepare(`${select} ORDER BY ${orderBy.sql} LIMIT ? OFFSET ?`);
+    const seekStatements = {};
+    const fetchDocuments = (documentLimit, documentOffset, after = null) => {
+      if (!after) {
+        return statement.all(...rank.params, ...orderBy.keyParams, normalizedQuery, ...filterParams, ...orderBy.params, documentLimit, documentOffset);
+      }
+      const seek = this._buildSeek(orderBy, rank, after);
+      seekStatements[seek.sql] ??= this.db.prepare(`${select}${seek.sql} ORDER BY ${orderBy.sql} LIMIT ?`);
+      return seekStatements[seek.sql].all(
+        ...rank.params, ...orderBy.keyParams, normalizedQuery, ...filterParams, ...seek.params, ...orderBy.params, documentLimit
+      );
+    };
 
-    // Extract snippets as flat list
-    const allSnippets = [];
+    // Document fields of a result row, remembered in rank order for grouping
+    const documents = new Map();
+    const describeDocument = (result) => {
+      if (!documents.has(result.path)) {
+        documents.set(result.path, {
+          document: {
+            path: result.path,
+            title: result.title,
+            tags: JSON.parse(result.collection),
+            metadata: this._parseMetadata(result.metadata),
+            rank: result.rank
+          },
+          row: result
+        });
+      }
+      return documents.get(result.path).document;
+    };
 
-    for (const result of results) {
+    // Build Snippet objects for one document row
+    const documentSnippets = (result) => {
       // Parse structure and sections index
       let structure = [];
       let sectionsIndex = {};
@@ -529,57 +1259,826 @@ export class SearchMix {
         console.warn('Failed to parse structure:', e);
       }
 
-      // Parse tags from JSON
-      const resultTags = JSON.parse(result.collection);
+      // Parse tags and metadata from JSON
+      const { tags: resultTags, metadata: resultMetadata } = describeDocument(result);
 
-      if (snippets) {
-        // body and body_normalized have same positions (both are markdown, just different normalization)
-        // Use body directly for extraction - positions align correctly
-        const rawSnippets = this._extractAllSnippets(query, result.title, result.h1, result.h2, result.h3, result.h4, result.h5, result.h6, result.body, snippetLength, limitSnippets, structure, sectionsIndex, result.path);
-        
-        // Add document metadata to each snippet
-        for (const rawSnippet of rawSnippets) {
-          rawSnippet.documentTitle = result.title;
-          rawSnippet.tags = resultTags;
-          rawSnippet.rank = result.rank;
-          allSnippets.push(new Snippet(rawSnippet, this));
-        }
-      }
-    }
+      // body and body_normalized have same positions (both are markdown, just different normalization)
+      // Use body directly for extraction - positions align correctly
+      const rawSnippets = this._extractAllSnippets(termsQuery, result.title, result.h1, result.h2, result.h3, result.h4, result.h5, result.h6, result.body, snippetLength, limitSnippets, structure, sectionsIndex, result.path, { boundary: snippetBoundary });
 
-    // Get total count of matching documents (without limit) - skip if count: false
-    let totalCount = null;
-    if (count) {
-      let countSql = `
-        SELECT COUNT(*) as count
-        FROM docs_fts
-        WHERE docs_fts MATCH ?
-      `;
-      const countParams = [normalizedQuery];
+      // Add document metadata to each snippet
+      return rawSnippets.map(rawSnippet => {
+        rawSnippet.documentTitle = result.title;
+        rawSnippet.tags = resultTags;
+        rawSnippet.metadata = resultMetadata;
+        rawSnippet.rank = result.rank;
+        return new Snippet(rawSnippet, this);
+      });
+    };
 
-      if (filterTags && filterTags.length > 0) {
-        const tagConditions = filterTags.map(() => `collection LIKE ?`).join(' OR ');
-        countSql += ` AND (collection = '[]' OR ${tagConditions})`;
-        for (const tag of filterTags) {
-          countParams.push(`%"${tag}"%`);
+    // The first page starts at offset, later pages at the cursor row: after it,
+    // or at it when the previous page ended inside its snippets
+    const fetchFromStart = (documentLimit) => start
+      ? fetchDocuments(documentLimit, 0, { row: start.row, inclusive: start.snippet !== null })
+      : fetchDocuments(documentLimit, offset);
+
+    const allSnippets = [];
+    let next = null;
+
+    if (pageBy === 'snippet') {
+      if (!snippets) {
+        throw new InvalidArgumentError('pageBy "snippet" requires snippets');
+      }
+
+      // Walk documents from the cursor until the page holds `limit` snippets
+      const batchSize = limit + 1;
+      let batch = fetchFromStart(batchSize);
+      // Skip the snippets already returned, unless that document is gone
+      let skip = start?.snippet && batch[0]?.path === start.row.path ? start.snippet : 0;
+
+      while (allSnippets.length < limit) {
+        for (let i = 0; i < batch.length; i++) {
+          const docSnippets = documentSnippets(batch[i]).slice(skip);
+          const room = limit - allSnippets.length;
+          allSnippets.push(...docSnippets.slice(0, room));
+
+          if (docSnippets.length > room) {
+            // Page ends inside this document
+            next = { row: batch[i], snippet: skip + room };
+            break;
+          }
+          skip = 0;
+
+          if (allSnippets.length === limit) {
+            // Page ends at a document boundary: only continue if more documents exist
+            const hasMore = i + 1 < batch.length || fetchDocuments(1, 0, { row: batch[i], inclusive: false }).length > 0;
+            next = hasMore ? { row: batch[i], snippet: null } : null;
+            break;
+          }
         }
+
+        if (next || allSnippets.length === limit || batch.length < batchSize) {
+          break;
+        }
+        batch = fetchDocuments(batchSize, 0, { row: batch[batch.length - 1], inclusive: false });
+      }
+    } else {
+      // Fetch one extra row to know whether another page exists
+      const results = fetchFromStart(limit + 1);
+      if (results.length > limit) {
+        results.pop();
+        next = { row: results[results.length - 1], snippet: null };
       }
 
-      if (minScore !== null) {
-        countSql += ` AND bm25(docs_fts, 0, 0, 0, 0, 0, 0, 0, 0, ?, ?, ?, ?, ?, ?, ?, ?) >= ?`;
-        countParams.push(titleWeight, h1Weight, h2Weight, h3Weight, h4Weight, h5Weight, h6Weight, bodyWeight, minScore);
+      if (snippets) {
+        for (const result of results) {
+          allSnippets.push(...documentSnippets(result));
+        }
+      } else if (groupBy) {
+        // Groups without snippets still describe each document
+        results.forEach(describeDocument);
       }
+    }
 
-      totalCount = this.db.prepare(countSql).get(...countParams).count;
+    let results = allSnippets;
+    if (groupBy === 'document') {
+      // One entry per document in rank order, snippets nested in extraction order
+      results = [...documents.values()].map(({ document, row }) => ({
+        document,
+        snippets: allSnippets.filter(snippet => snippet.documentPath === row.path),
+        matchCount: this._countMatches(termsQuery, row.title, row.h1, row.h2, row.h3, row.h4, row.h5, row.h6, row.body)
+      }));
     }
 
-    return {
-      results: allSnippets,
+    // Get total count of matching documents (without limit) - skip if count: false
+    let totalCount = null;
+    if (count) {
+      const countSql = `
+        SELECT COUNT(*) as count
+        FROM docs_fts
+        WHERE docs_fts MATCH ?${filterSql}
+      `;
+
+      totalCount = this.db.prepare(countSql).get(normalizedQuery, ...filterParams).count;
+    }
+
+    const response = {
+      results,
       totalCount,
-      totalSnippets: allSnippets.length
+      totalSnippets: allSnippets.length,
+      nextCursor: next ? this._encodeCursor({ ...next, now }, cursorKey) : null
+    };
+
+    if (facets) {
+      response.facets = this._countFacets(facets, normalizedQuery, filterSql, filterParams);
+    }
+
+    if (suggestBelow > 0) {
+      // Without count, only count up to the threshold
+      const hits = totalCount ?? this.db.prepare(`
+        SELECT COUNT(*) AS count FROM (SELECT 1 FROM docs_fts WHERE docs_fts MATCH ?${filterSql} LIMIT ?)
+      `).get(normalizedQuery, ...filterParams, suggestBelow).count;
+      if (hits < suggestBelow) {
+        // Without count, skip the COUNT query of every candidate as well
+        response.suggestions = this._suggest(query, queryMode, 3, filterSql, filterParams, count ? hits + 1 : null);
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Search inside a single document and return every match, in document order
+   * @param {string} filePath - Document path
+   * @param {string|object} query - Search query (FTS5 syntax, or a structured query object)
+   * @param {object} options - Search options
+   * @param {string|null} options.sectionId - Only return matches in this section and its descendants (default: null)
+   * @param {string} options.queryMode - "fts5" or "simple" (default: "fts5")
+   * @param {number} options.snippetLength - Characters around match (default: 500)
+   * @param {string} options.snippetBoundary - "word", "sentence", "paragraph" or "block" (default: "word")
+   * @returns {object|null} { results: [Snippet, ...], totalSnippets: n, sectionCounts: { [sectionId]: n } }, or null if the document is not indexed
+   */
+  searchIn(filePath, query, { sectionId = null, queryMode = 'fts5', snippetLength = 500, snippetBoundary = 'word' } = {}) {
+    this._checkSnippetBoundary(snippetBoundary);
+    const absolutePath = filePath.startsWith("buffer://") ? filePath : path.resolve(filePath);
+    if (!this.hasDocument(absolutePath)) {
+      return null;
+    }
+
+    const empty = { results: [], totalSnippets: 0, sectionCounts: {} };
+    const { normalizedQuery, termsQuery } = this._prepareQuery(query, queryMode);
+    if (!normalizedQuery) {
+      return empty;
+    }
+
+    const rank = this._rankExpression(null, null, normalizedQuery);
+    const result = this.db.prepare(`
+      SELECT path, title, h1, h2, h3, h4, h5, h6, body, collection, structure, sections_index, metadata,
+             ${rank.sql} AS rank
+      FROM docs_fts
+      WHERE docs_fts MATCH ? AND path = ?
+    `).get(...rank.params, normalizedQuery, absolutePath);
+    if (!result) {
+      return empty;
+    }
+
+    const structure = result.structure ? JSON.parse(result.structure) : [];
+    const sectionsIndex = result.sections_index ? JSON.parse(result.sections_index) : {};
+
+    // The section and all of its descendants
+    let scope = null;
+    if (sectionId !== null) {
+      if (!sectionsIndex[sectionId]) {
+        throw new NotFoundError(`Section not found: ${sectionId}`);
+      }
+      scope = new Set();
+      const pending = [sectionId];
+      while (pending.length > 0) {
+        const id = pending.pop();
+        scope.add(id);
+        pending.push(...(sectionsIndex[id]?.childrenIds || []));
+      }
+    }
+
+    const tags = JSON.parse(result.collection);
+    const metadata = this._parseMetadata(result.metadata);
+    const seen = new Set();
+
+    const results = this._extractAllSnippets(termsQuery, result.title, result.h1, result.h2, result.h3, result.h4, result.h5, result.h6, result.body, snippetLength, Infinity, structure, sectionsIndex, result.path, { fallback: false, ranked: false, boundary: snippetBoundary })
+      .filter(snippet => !scope || scope.has(snippet.sectionId))
+      .filter(snippet => {
+        // Overlapping terms (e.g. "mars mar*") find the same match twice
+        const key = `${snippet.section}:${snippet.offset}:${snippet.position}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => a.offset - b.offset)
+      .map(snippet => new Snippet({ ...snippet, documentTitle: result.title, tags, metadata, rank: result.rank }, this));
+
+    const sectionCounts = {};
+    for (const snippet of results) {
+      if (snippet.sectionId) {
+        sectionCounts[snippet.sectionId] = (sectionCounts[snippet.sectionId] || 0) + 1;
+      }
+    }
+
+    return { results, totalSnippets: results.length, sectionCounts };
+  }
+
+  /**
+   * Rank expression: BM25 with one weight per docs_fts column (unindexed
+   * columns get 0, field_normalized columns use weights[field]), multiplied
+   * by the boost factors. BM25 is negative and lower ranks first, so a factor
+   * above 1 promotes a document and a factor below 1 demotes it.
+   * headings_normalized repeats the h1-h6 columns, so it has no weight by
+   * default; queries scoped to it (headings:) rank it with 1 unless weighted.
+   * @param {object|null} weights - Weights overriding this.weights
+   * @param {object|null} boosts - Boosts (see search())
+   * @param {string} normalizedQuery - Normalized FTS5 query
+   * @param {number} now - Time recency boosts are measured from (default: now)
+   * @returns {{ sql: string, params: number[] }} SQL expression and its parameters
+   * @private
+   */
+  _rankExpression(weights = null, boosts = null, normalizedQuery = '', now = Date.now()) {
+    const fieldWeights = { ...this.weights, ...weights };
+    if (!fieldWeights.headings && normalizedQuery.includes('headings_normalized')) {
+      fieldWeights.headings = 1.0;
+    }
+    const params = [];
+    const columns = FTS_COLUMNS.map(column => {
+      const [name, option] = column.split(' ');
+      if (option === 'UNINDEXED') return '0';
+      params.push(fieldWeights[name.replace(/_normalized$/, '')] ?? 0);
+      return '?';
+    });
+    const bm25 = `bm25(docs_fts, ${columns.join(', ')})`;
+
+    if (!boosts) {
+      return { sql: bm25, params };
+    }
+
+    const factors = [];
+    const factor = (value, name) => {
+      if (typeof value !== 'number' || !(value > 0)) {
+        throw new InvalidArgumentError(`Boost "${name}" must be a positive number`);
+      }
+      return value;
+    };
+
+    for (const [key, value] of Object.entries(boosts)) {
+      switch (key) {
+        case 'tags':
+          for (const [tag, boost] of Object.entries(value)) {
+            factors.push(`(CASE WHEN path IN (SELECT path FROM docs_tags WHERE tag = ?) THEN ? ELSE 1 END)`);
+            params.push(tag, factor(boost, `tags.${tag}`));
+          }
+          break;
+        case 'paths':
+          for (const [prefix, boost] of Object.entries(value)) {
+            const resolved = prefix.startsWith('buffer://') ? prefix : path.resolve(prefix);
+            factors.push(`(CASE WHEN substr(path, 1, ?) = ? THEN ? ELSE 1 END)`);
+            params.push(resolved.length, resolved, factor(boost, `paths.${prefix}`));
+          }
+          break;
+        case 'types':
+          for (const [type, boost] of Object.entries(value)) {
+            factors.push(`(CASE WHEN ${TYPE_SQL} = ? THEN ? ELSE 1 END)`);
+            params.push(type.replace(/^\./, '').toLowerCase(), factor(boost, `types.${type}`));
+          }
+          break;
+        case 'recency': {
+          // 1 + weight for a document modified now, halving every halfLife days
+          const { weight = 1.0, halfLife = 30 } = value === true ? {} : value;
+          factor(halfLife, 'recency.halfLife');
+          if (typeof weight !== 'number' || weight < 0) {
+            throw new InvalidArgumentError('Boost "recency.weight" must be a non-negative number');
+          }
+          factors.push(`(CASE WHEN mtime IS NULL THEN 1 ELSE 1 + ? * power(0.5, max(? - mtime, 0) / ?) END)`);
+          params.push(weight, now, halfLife * 86400000);
+          break;
+        }
+        default:
+          throw new InvalidArgumentError(`Unknown boost "${key}": use "tags", "paths", "types" or "recency"`);
+      }
+    }
+
+    if (factors.length === 0) {
+      return { sql: bm25, params };
+    }
+    return { sql: `(${bm25} * ${factors.join(' * ')})`, params };
+  }
+
+  /**
+   * Turn a search query into an FTS5 MATCH expression for the given mode
+   * @returns {{ normalizedQuery: string, termsQuery: string|object[] }} FTS5 query (empty when nothing can match) and the query or parsed terms to highlight
+   * @private
+   */
+  _prepareQuery(query, queryMode) {
+    const normalize = text => this._normalizeText(text);
+
+    if (query !== null && typeof query === 'object') {
+      const { expression, terms } = compileQuery(query, normalize);
+      return { normalizedQuery: expression, termsQuery: terms };
+    }
+    if (queryMode === 'simple') {
+      const terms = parseSimpleQuery(query);
+      return {
+        normalizedQuery: compileSimpleQuery(terms, normalize),
+        termsQuery: terms.filter(term => !term.exclude)
+      };
+    }
+    if (queryMode === 'fts5') {
+      return { normalizedQuery: this._normalizeQuery(query), termsQuery: query };
+    }
+    throw new InvalidArgumentError(`Invalid queryMode "${queryMode}": use "fts5" or "simple"`);
+  }
+
+  /**
+   * Check a query without searching.
+   * FTS5 queries are checked for common mistakes (with their position in the
+   * query) and then parsed by SQLite; simple mode queries only fail when
+   * nothing is left to search; query objects fail when they cannot be compiled.
+   * @param {string|object} query - Search query or structured query object
+   * @param {object} options - Options
+   * @param {string} options.queryMode - "fts5" or "simple" (default: "fts5")
+   * @returns {{ valid: boolean, errors: Array<{ code: string, message: string, position: number|null }> }} Validation result
+   */
+  validateQuery(query, { queryMode = 'fts5' } = {}) {
+    const isObject = query !== null && typeof query === 'object';
+    let normalizedQuery;
+    try {
+      ({ normalizedQuery } = this._prepareQuery(query, queryMode));
+    } catch (error) {
+      if (!isObject) throw error;
+      return { valid: false, errors: [{ code: 'INVALID_QUERY_OBJECT', message: error.message, position: null }] };
+    }
+
+    if (queryMode === 'simple' && !isObject) {
+      const errors = normalizedQuery ? [] : [{ code: 'EMPTY_QUERY', message: 'Query has no words to search', position: null }];
+      return { valid: errors.length === 0, errors };
+    }
+
+    const errors = isObject ? [] : findQueryErrors(query);
+    if (errors.length === 0) {
+      try {
+        this.db.prepare(`SELECT 1 FROM docs_fts WHERE docs_fts MATCH ? LIMIT 1`).get(normalizedQuery);
+      } catch (error) {
+        if (error.code !== 'SQLITE_ERROR') throw error;
+        errors.push({ code: 'SYNTAX_ERROR', message: error.message, position: null });
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * "Did you mean" suggestions for a query, from the vocabulary of the index.
+   * Words missing from the index are replaced by indexed terms within a few
+   * edits (1 for words of 3-5 characters, 2 for longer ones), preferring fewer
+   * edits and then terms found in more documents. Only corrected queries that
+   * match documents are returned.
+   * @param {string} query - Search query
+   * @param {object} options - Options
+   * @param {string} options.queryMode - "fts5" or "simple" (default: "fts5")
+   * @param {number} options.limit - Maximum suggestions (default: 3)
+   * @returns {Array<{ query: string, corrections: Array<{ word: string, suggestion: string, distance: number }>, count: number }>} Suggestions, best first
+   */
+  suggest(query, { queryMode = 'fts5', limit = 3 } = {}) {
+    return this._suggest(query, queryMode, limit);
+  }
+
+  /**
+   * Build suggestions for a query
+   * @param {string|object} query - Search query (query objects get no suggestions)
+   * @param {string} queryMode - "fts5" or "simple"
+   * @param {number} limit - Maximum suggestions
+   * @param {string} filterSql - Filter conditions shared with the search
+   * @param {Array} filterParams - Parameters of filterSql
+   * @param {number|null} minCount - Minimum matching documents of a suggestion,
+   * or null to return suggestions without counting their matches (count: null)
+   * @returns {Array<object>} Suggestions, best first
+   * @private
+   */
+  _suggest(query, queryMode, limit, filterSql = '', filterParams = [], minCount = 1) {
+    if (queryMode !== 'fts5' && queryMode !== 'simple') {
+      throw new InvalidArgumentError(`Invalid queryMode "${queryMode}": use "fts5" or "simple"`);
+    }
+    if (typeof query !== 'string' || limit <= 0) return [];
+
+    const known = this.db.prepare(`SELECT 1 FROM docs_vocab WHERE term = ?`);
+    // Terms in a prefix range (docs_vocab seeks and returns terms in order)
+    const similar = this.db.prepare(`
+      SELECT term, doc, distance FROM (
+        SELECT term, doc, edit_distance(term, ?, ?) AS distance
+        FROM (
+          SELECT term, doc FROM docs_vocab
+          WHERE term >= ? AND term < ? AND length(term) BETWEEN ? AND ?
+          LIMIT ?
+        )
+      )
+      WHERE distance <= ?
+    `);
+    const nextTerm = this.db.prepare(`SELECT term FROM docs_vocab WHERE term >= ? ORDER BY term LIMIT 1`);
+
+    // First letters of the vocabulary, one seek per letter
+    let firstLetters = null;
+    const listFirstLetters = () => {
+      if (firstLetters) return firstLetters;
+      firstLetters = [];
+      for (let row = nextTerm.get(''); row; row = nextTerm.get(prefixEnd(firstLetters.at(-1)))) {
+        firstLetters.push(String.fromCodePoint(row.term.codePointAt(0)));
+      }
+      return firstLetters;
+    };
+
+    // Up to 3 corrections for every word missing from the index
+    const misspelled = [];
+    for (const { word, start, end } of queryWords(query, queryMode)) {
+      const normalized = this._normalizeText(word);
+      const edits = maxEdits(normalized.length);
+      if (edits === 0 || known.get(normalized)) continue;
+
+      const options = candidatePrefixes(normalized, listFirstLetters())
+        .flatMap(prefix => similar.all(
+          normalized, edits, prefix, prefixEnd(prefix), normalized.length - edits, normalized.length + edits, SUGGEST_SCAN_LIMIT, edits
+        ))
+        .sort((a, b) => a.distance - b.distance || b.doc - a.doc || (a.term < b.term ? -1 : 1))
+        .slice(0, 3);
+      if (options.length > 0) {
+        misspelled.push({ word, start, end, options });
+      }
+    }
+    if (misspelled.length === 0) return [];
+
+    // Combinations of corrections: fewest edits first, then most frequent terms
+    // (keeping the best 20 while adding words)
+    const edits = combination => combination.reduce((sum, option) => sum + option.distance, 0);
+    const frequency = combination => combination.reduce((sum, option) => sum + Math.log(option.doc), 0);
+    let combinations = [[]];
+    for (const { options } of misspelled) {
+      combinations = combinations
+        .flatMap(combination => options.map(option => [...combination, option]))
+        .sort((a, b) => edits(a) - edits(b) || frequency(b) - frequency(a))
+        .slice(0, 20);
+    }
+
+    const countSql = `SELECT COUNT(*) AS count FROM docs_fts WHERE docs_fts MATCH ?${filterSql}`;
+    const suggestions = [];
+    for (const combination of combinations) {
+      // Replace words from the end so earlier offsets stay valid
+      let corrected = query;
+      for (let i = misspelled.length - 1; i >= 0; i--) {
+        const { start, end } = misspelled[i];
+        corrected = corrected.slice(0, start) + combination[i].term + corrected.slice(end);
+      }
+
+      let count = null;
+      if (minCount !== null) {
+        count = 0;
+        try {
+          const { normalizedQuery } = this._prepareQuery(corrected, queryMode);
+          if (normalizedQuery) {
+            count = this.db.prepare(countSql).get(normalizedQuery, ...filterParams).count;
+          }
+        } catch (error) {
+          if (error.code !== 'SQLITE_ERROR') throw error;
+        }
+        if (count < minCount) continue;
+      }
+
+      suggestions.push({
+        query: corrected,
+        corrections: misspelled.map(({ word }, i) => ({ word, suggestion: combination[i].term, distance: combination[i].distance })),
+        count
+      });
+      if (suggestions.length === limit) break;
+    }
+    return suggestions;
+  }
+
+  /**
+   * Count documents matching a search per facet value
+   * @param {string[]} facets - Facet names: "tags", "type", "language" or "metadata.<field>"
+   * @param {string} normalizedQuery - Normalized FTS5 query
+   * @param {string} filterSql - Filter conditions shared with the search
+   * @param {Array} filterParams - Parameters of filterSql
+   * @returns {object} Counts by facet then value, most frequent first
+   * @private
+   */
+  _countFacets(facets, normalizedQuery, filterSql, filterParams) {
+    const matches = `SELECT path, metadata, language FROM docs_fts WHERE docs_fts MATCH ?${filterSql}`;
+    const matchParams = [normalizedQuery, ...filterParams];
+    const result = {};
+
+    for (const facet of facets) {
+      let sql;
+      const params = [...matchParams];
+
+      if (facet === 'tags') {
+        sql = `SELECT docs_tags.tag AS name, COUNT(*) AS count FROM (${matches}) AS matches JOIN docs_tags ON docs_tags.path = matches.path GROUP BY docs_tags.tag`;
+      } else if (facet === 'type') {
+        sql = `SELECT ${TYPE_SQL} AS name, COUNT(*) AS count FROM (${matches}) WHERE name IS NOT NULL GROUP BY name`;
+      } else if (facet === 'language') {
+        sql = `SELECT language AS name, COUNT(*) AS count FROM (${matches}) WHERE language IS NOT NULL GROUP BY language`;
+      } else if (facet.startsWith('metadata.') && facet.length > 'metadata.'.length) {
+        const field = facet.slice('metadata.'.length);
+        if (field.includes('"')) {
+          throw new InvalidArgumentError(`Invalid metadata field: ${field}`);
+        }
+        // Array fields (e.g. several authors) count once per element
+        sql = `SELECT field.value AS name, COUNT(DISTINCT matches.path) AS count FROM (${matches}) AS matches, json_each(matches.metadata, ?) AS field WHERE field.type NOT IN ('object', 'array', 'null') GROUP BY field.value`;
+        params.push(`$."${field}"`);
+      } else {
+        throw new InvalidArgumentError(`Unknown facet "${facet}": use "tags", "type", "language" or "metadata.<field>"`);
+      }
+
+      const rows = this.db.prepare(`${sql} ORDER BY count DESC, name`).all(...params);
+      result[facet] = Object.fromEntries(rows.map(row => [row.name, row.count]));
+    }
+
+    return result;
+  }
+
+  /**
+   * Fingerprint of a query and its options, so a cursor cannot be reused with another search
+   * @private
+   */
+  _cursorKey(...parts) {
+    // RegExp options (dateRange.pattern) serialize as "/source/flags" rather than {}
+    const json = JSON.stringify(parts, (name, value) => value instanceof RegExp ? String(value) : value);
+    return crypto.createHash("sha1").update(json).digest("base64url").slice(0, 12);
+  }
+
+  /**
+   * Encode a pagination position as an opaque cursor: the sort values of the
+   * last document shown, the snippets of it already shown (null when all of
+   * them were) and the time of the first page
+   * @private
+   */
+  _encodeCursor({ row, snippet, now }, key) {
+    const position = { p: row.path, r: row.rank, v: row.sort_key, s: snippet, t: now, k: key };
+    return Buffer.from(JSON.stringify(position)).toString("base64url");
+  }
+
+  /**
+   * Decode a cursor created by _encodeCursor for the same search
+   * @private
+   */
+  _decodeCursor(cursor, key) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+    } catch (e) {
+      throw new InvalidArgumentError("Invalid cursor");
+    }
+
+    if (!decoded || typeof decoded.p !== 'string' || typeof decoded.r !== 'number' || !Number.isFinite(decoded.t) ||
+        !(decoded.s === null || (Number.isInteger(decoded.s) && decoded.s > 0)) ||
+        !(decoded.v === null || ['string', 'number'].includes(typeof decoded.v))) {
+      throw new InvalidArgumentError("Invalid cursor");
+    }
+    if (decoded.k !== key) {
+      throw new InvalidArgumentError("Cursor does not belong to this search");
+    }
+    return { row: { path: decoded.p, rank: decoded.r, sort_key: decoded.v }, snippet: decoded.s, now: decoded.t };
+  }
+
+  /**
+   * Build the condition selecting the documents after a row in sort order
+   * (see _buildOrderBy), or from that row on when inclusive
+   * @param {object} orderBy - Result of _buildOrderBy
+   * @param {object} rank - Result of _rankExpression
+   * @param {object} after - { row: { path, rank, sort_key }, inclusive }
+   * @returns {{ sql: string, params: Array }} Condition prefixed with AND
+   * @private
+   */
+  _buildSeek(orderBy, rank, { row, inclusive }) {
+    // Ties on the sort key are ordered by rank, then path. Ranks change when
+    // documents are added or removed, so the row itself is matched by path.
+    const after = `(${rank.sql} ${orderBy.rankOperator} ? OR (${rank.sql} = ? AND path > ?))`;
+    const tail = inclusive ? `(path = ? OR ${after})` : `(path <> ? AND ${after})`;
+    const tailParams = [row.path, ...rank.params, row.rank, ...rank.params, row.rank, row.path];
+
+    if (!orderBy.key) {
+      return { sql: ` AND ${tail}`, params: tailParams };
+    }
+    if (row.sort_key === null) {
+      // Documents without a value come last
+      return { sql: ` AND ${orderBy.key} IS NULL AND ${tail}`, params: [...orderBy.keyParams, ...tailParams] };
+    }
+    const key = orderBy.key;
+    return {
+      sql: ` AND (${key} ${orderBy.keyOperator} ? OR ${key} IS NULL OR (${key} = ? AND ${tail}))`,
+      params: [
+        ...orderBy.keyParams, row.sort_key,
+        ...orderBy.keyParams,
+        ...orderBy.keyParams, row.sort_key,
+        ...tailParams
+      ]
     };
   }
 
+  /**
+   * Build SQL conditions for a tag filter.
+   * A string or list matches documents with any of the tags; an object
+   * accepts { all, any, none } lists. Untagged documents match the all/any
+   * conditions unless includeUntagged is false.
+   * @param {string|string[]|object|null} tags - Tag filter
+   * @param {boolean} includeUntagged - Keep untagged (global) documents
+   * @returns {{ sql: string, params: Array }} Conditions starting with AND, and their parameters
+   * @private
+   */
+  _buildTagFilter(tags, includeUntagged = true) {
+    const filter = tags && typeof tags === 'object' && !Array.isArray(tags)
+      ? tags
+      : { any: this._normalizeTags(tags) };
+
+    for (const key of Object.keys(filter)) {
+      if (!['all', 'any', 'none'].includes(key)) {
+        throw new InvalidArgumentError(`Unknown tags operator "${key}": use "all", "any" or "none"`);
+      }
+    }
+
+    const all = this._normalizeTags(filter.all);
+    const any = this._normalizeTags(filter.any);
+    const none = this._normalizeTags(filter.none);
+    const placeholders = list => list.map(() => '?').join(', ');
+
+    let sql = '';
+    const params = [];
+    const required = [];
+
+    if (all.length > 0) {
+      required.push(`path IN (SELECT path FROM docs_tags WHERE tag IN (${placeholders(all)}) GROUP BY path HAVING COUNT(*) = ?)`);
+      params.push(...all, new Set(all).size);
+    }
+    if (any.length > 0) {
+      required.push(`path IN (SELECT path FROM docs_tags WHERE tag IN (${placeholders(any)}))`);
+      params.push(...any);
+    }
+
+    const untagged = `path NOT IN (SELECT path FROM docs_tags)`;
+    if (required.length > 0) {
+      sql += includeUntagged
+        ? ` AND ((${required.join(' AND ')}) OR ${untagged})`
+        : ` AND ${required.join(' AND ')}`;
+    } else if (!includeUntagged) {
+      sql += ` AND path IN (SELECT path FROM docs_tags)`;
+    }
+
+    if (none.length > 0) {
+      sql += ` AND path NOT IN (SELECT path FROM docs_tags WHERE tag IN (${placeholders(none)}))`;
+      params.push(...none);
+    }
+
+    return { sql, params };
+  }
+
+  /**
+   * Parse stored metadata JSON
+   * @private
+   */
+  _parseMetadata(metadataJSON) {
+    if (!metadataJSON) return {};
+    try {
+      return JSON.parse(metadataJSON);
+    } catch (e) {
+      console.warn('Failed to parse metadata:', e);
+      return {};
+    }
+  }
+
+  /**
+   * Build the ORDER BY clause of a search. Documents without a value for the
+   * sort field come last in both orders; ties are ordered by rank, then path.
+   * @param {string} sort - "rank", "mtime", "title", "path" or "metadata.<field>"
+   * @param {string} order - "asc" or "desc"
+   * @returns {{ sql: string, params: string[], key: string|null, keyParams: string[],
+   *   keyOperator: string, rankOperator: string }} ORDER BY expression and its parameters,
+   *   plus the sort key expression (null when sorting by rank) and the comparisons
+   *   that select the rows after a given one
+   * @private
+   */
+  _buildOrderBy(sort, order) {
+    if (order !== 'asc' && order !== 'desc') {
+      throw new InvalidArgumentError(`Invalid order "${order}": use "asc" or "desc"`);
+    }
+    const direction = order.toUpperCase();
+
+    if (sort === 'rank') {
+      return { sql: `rank ${direction}, path`, params: [], key: null, keyParams: [], rankOperator: order === 'asc' ? '>' : '<' };
+    }
+
+    let key;
+    const params = [];
+    if (sort === 'mtime') {
+      key = 'mtime';
+    } else if (sort === 'title') {
+      key = `NULLIF(title_normalized, '')`;
+    } else if (sort === 'path') {
+      key = 'path';
+    } else if (typeof sort === 'string' && /^metadata\.[^"]+$/.test(sort)) {
+      key = 'json_extract(metadata, ?)';
+      params.push(`$."${sort.slice('metadata.'.length)}"`);
+    } else {
+      throw new InvalidArgumentError(`Invalid sort "${sort}": use "rank", "mtime", "title", "path" or "metadata.<field>"`);
+    }
+
+    return {
+      sql: `${key} ${direction} NULLS LAST, rank, path`,
+      params,
+      key,
+      keyParams: params,
+      keyOperator: order === 'asc' ? '>' : '<',
+      rankOperator: '>'
+    };
+  }
+
+  /**
+   * Build SQL conditions for a dateRange filter. Bounds are inclusive and
+   * documents without a date for the field are excluded.
+   * @param {string|object} dateRange - "last 30 days", or { from, to, field, pattern }
+   * @param {number} now - Time relative dates are resolved against (default: now)
+   * @returns {{ sql: string, params: Array }} Conditions prefixed with AND
+   * @private
+   */
+  _buildDateFilter(dateRange, now = Date.now()) {
+    const { field, from, to, pattern } = resolveDateRange(dateRange, now);
+
+    let value;
+    const params = [];
+    if (field === 'mtime') {
+      value = 'mtime';
+    } else if (field === 'filename') {
+      value = 'filename_date(path, ?, ?)';
+      params.push(pattern?.source ?? null, pattern?.flags ?? null);
+    } else {
+      // ISO date strings (front matter dates, PDF CreationDate) to milliseconds
+      value = `(julianday(json_extract(metadata, ?)) - 2440587.5) * 86400000`;
+      params.push(`$."${field.slice('metadata.'.length)}"`);
+    }
+
+    let sql = '';
+    const bounds = [];
+    if (from !== null) {
+      sql += ` AND ${value} >= ?`;
+      bounds.push(...params, from);
+    }
+    if (to !== null) {
+      sql += ` AND ${value} <= ?`;
+      bounds.push(...params, to);
+    }
+    return { sql, params: bounds };
+  }
+
+  /**
+   * Build SQL conditions for a metadata filter.
+   * A plain value matches the field (or any element of an array field);
+   * an object can use the operators eq, ne, gt, gte, lt, lte, in and exists.
+   * @param {object} filter - Filter, e.g. { author: "X", date: { gte: "2020-01-01" } }
+   * @returns {{ sql: string, params: Array }} Conditions prefixed with AND
+   * @private
+   */
+  _buildMetadataFilter(filter) {
+    let sql = '';
+    const params = [];
+
+    // SQLite has no boolean or date types in JSON comparisons
+    const toSqlValue = (value) => {
+      if (value instanceof Date) return value.toISOString();
+      if (typeof value === 'boolean') return value ? 1 : 0;
+      return value;
+    };
+
+    for (const [field, condition] of Object.entries(filter)) {
+      if (field.includes('"')) {
+        throw new InvalidArgumentError(`Invalid metadata field: ${field}`);
+      }
+      const jsonPath = `$."${field}"`;
+
+      const operators = condition !== null && typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date)
+        ? condition
+        : { eq: condition };
+
+      for (const [operator, value] of Object.entries(operators)) {
+        switch (operator) {
+          case 'eq':
+          case 'ne': {
+            const match = `EXISTS (SELECT 1 FROM json_each(metadata, ?) WHERE value = ?)`;
+            sql += operator === 'eq' ? ` AND ${match}` : ` AND NOT ${match}`;
+            params.push(jsonPath, toSqlValue(value));
+            break;
+          }
+          case 'in': {
+            const values = Array.isArray(value) ? value : [value];
+            const placeholders = values.map(() => '?').join(', ');
+            sql += ` AND EXISTS (SELECT 1 FROM json_each(metadata, ?) WHERE value IN (${placeholders}))`;
+            params.push(jsonPath, ...values.map(toSqlValue));
+            break;
+          }
+          case 'gt':
+          case 'gte':
+          case 'lt':
+          case 'lte': {
+            const comparison = { gt: '>', gte: '>=', lt: '<', lte: '<=' }[operator];
+            sql += ` AND json_extract(metadata, ?) ${comparison} ?`;
+            params.push(jsonPath, toSqlValue(value));
+            break;
+          }
+          case 'exists':
+            sql += ` AND json_type(metadata, ?) IS ${value ? 'NOT NULL' : 'NULL'}`;
+            params.push(jsonPath);
+            break;
+          default:
+            throw new InvalidArgumentError(`Unknown metadata operator "${operator}" for field "${field}"`);
+        }
+      }
+    }
+
+    return { sql, params };
+  }
+
   /**
    * Find section in structure tree that matches given text (now using IDs)
    * @private
@@ -727,28 +2226,217 @@ export class SearchMix {
   }
 
   /**
-   * Extract all snippets showing all occurrences of search terms
+   * Parse a query into normalized search terms with match regexes.
+   * Accepts an FTS5 query string or terms already parsed from a
+   * structured or simple query (see parseQueryTerms in query.js).
+   * Each term lists the sections its field prefix searches (null for all).
+   * A NEAR group becomes one term whose regex matches the whole window,
+   * with the regexes of its own terms in `parts`.
    * @private
    */
-  _extractAllSnippets(query, title, h1, h2, h3, h4, h5, h6, body, maxLength, limitSnippets, structure = [], sectionsIndex = {}, documentPath = '') {
-    // Clean query - remove FTS5 operators and get search terms
-    // Preserve * suffix for prefix matching before normalizing
-    const searchTerms = query
-      .replace(/title_normalized:|h1_normalized:|h2_normalized:|h3_normalized:|h4_normalized:|h5_normalized:|h6_normalized:|body_normalized:|title:|h1:|h2:|h3:|h4:|h5:|h6:|headings:|body:/gi, '')
-      .replace(/AND|OR|NOT/gi, '')
-      .replace(/[()]/g, '')
-      .split(/\s+/)
-      .filter(term => term.replace(/\*/g, '').length > 1)
-      .map(term => {
-        const isPrefix = term.endsWith('*');
-        const cleanTerm = this._normalizeText(term.replace(/\*$/, ''));
-        const escaped = cleanTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        // Exact word: \bterm\b | Prefix: \bterm
-        const pattern = isPrefix ? `\\b${escaped}` : `\\b${escaped}\\b`;
-        return { text: cleanTerm, regex: new RegExp(pattern, 'g') };
-      });
+  _getSearchTerms(query) {
+    const terms = typeof query === 'string' ? parseQueryTerms(query) : query;
+
+    const compile = (term) => {
+      const words = this._normalizeText(term.text).split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+      // Phrase words may be separated by any punctuation or spacing
+      const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\W+');
+      return { text: words.join(' '), pattern: term.prefix ? `\\b${escaped}` : `\\b${escaped}\\b` };
+    };
+    const permutations = (items) => items.length <= 1
+      ? [items]
+      : items.flatMap((item, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]));
+
+    return terms.flatMap(term => {
+      const sections = FIELD_SECTIONS[term.field] || null;
+
+      if (term.near) {
+        const parts = term.near.map(compile).filter(part => part.text.length > 1);
+        if (parts.length <= 1) {
+          return parts.map(part => ({ text: part.text, regex: new RegExp(part.pattern, 'g'), sections }));
+        }
+
+        // Terms in any order (as given when there are many), each within
+        // `distance` words of the previous one. Prefix terms match whole words.
+        const gap = `[^\\p{L}\\p{N}_]+(?:[\\p{L}\\p{N}_]+[^\\p{L}\\p{N}_]+){0,${term.distance}}`;
+        const orders = parts.length <= 4 ? permutations(parts) : [parts];
+        const window = orders
+          .map(order => `(?:${order.map(part => `${part.pattern}[\\p{L}\\p{N}_]*`).join(gap)})`)
+          .join('|');
+
+        return [{
+          text: parts.map(part => part.text).join(' '),
+          regex: new RegExp(window, 'gu'),
+          parts: parts.map(part => ({ text: part.text, regex: new RegExp(part.pattern, 'g') })),
+          sections
+        }];
+      }
+
+      const { text, pattern } = compile(term);
+      return text.length > 1 ? [{ text, regex: new RegExp(pattern, 'g'), sections }] : [];
+    });
+  }
+
+  /**
+   * Count every occurrence of the search terms in a document, as
+   * _extractAllSnippets finds them before merging them into windows
+   * @private
+   */
+  _countMatches(query, title, h1, h2, h3, h4, h5, h6, body) {
+    const searchTerms = this._getSearchTerms(query);
+    const searches = (termObj, type) => !termObj.sections || termObj.sections.includes(type);
+    let count = 0;
+
+    for (const [type, text] of [['title', title], ['body', body]]) {
+      if (!text) continue;
+      const normalizedText = this._normalizeText(text);
+      for (const termObj of searchTerms) {
+        if (!searches(termObj, type)) continue;
+        count += normalizedText.match(termObj.regex)?.length || 0;
+      }
+    }
+
+    // Headings count once per matching heading line
+    for (const [type, text] of [['h1', h1], ['h2', h2], ['h3', h3], ['h4', h4], ['h5', h5], ['h6', h6]]) {
+      if (!text) continue;
+      const normalizedLines = text.split('\n').filter(line => line.trim()).map(line => this._normalizeText(line));
+      for (const termObj of searchTerms) {
+        if (!searches(termObj, type)) continue;
+        for (const line of normalizedLines) {
+          termObj.regex.lastIndex = 0;
+          if (termObj.regex.test(line)) count++;
+        }
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Find every match of the search terms in normalized text
+   * @param {string} normalizedText - Text normalized with _normalizeText
+   * @param {Array} searchTerms - Terms from _getSearchTerms
+   * @returns {Array<{ index: number, end: number, term: string }>} Matches in text order
+   * @private
+   */
+  _findMatches(normalizedText, searchTerms) {
+    const matches = [];
+    for (const termObj of searchTerms) {
+      // A copy: the term regex may be in use elsewhere
+      for (const match of normalizedText.matchAll(new RegExp(termObj.regex))) {
+        if (match[0].length > 0) {
+          matches.push({ index: match.index, end: match.index + match[0].length, term: termObj.text });
+        }
+      }
+    }
+    return matches.sort((a, b) => a.index - b.index || b.end - a.end);
+  }
+
+  /**
+   * Score a snippet between 0 and 1 from its matches:
+   * coverage (share of the query terms present, weight 0.6), proximity
+   * (how close different terms are, 0.25) and density (number of matches, 0.15)
+   * @param {Array<{ index: number, end: number, term: string }>} matches - Matches in the snippet, in text order
+   * @param {number} termCount - Distinct terms in the query
+   * @returns {number} Score
+   * @private
+   */
+  _scoreSnippet(matches, termCount) {
+    const distinct = new Set(matches.map(match => match.term)).size;
+    const coverage = distinct / Math.max(termCount, 1);
+
+    // Smallest gap in characters between matches of different terms
+    let gap = Infinity;
+    for (let i = 1; i < matches.length; i++) {
+      if (matches[i].term !== matches[i - 1].term) {
+        gap = Math.min(gap, Math.max(0, matches[i].index - matches[i - 1].end));
+      }
+    }
+    const proximity = gap === Infinity ? 0 : 1 / (1 + gap / 20);
+    const density = matches.length / (matches.length + 2);
+
+    return Math.round((0.6 * coverage + 0.25 * proximity + 0.15 * density) * 1000) / 1000;
+  }
+
+  /**
+   * Find the section of the body that contains an offset
+   * @returns {object|null} Section from the sections index
+   * @private
+   */
+  _findBodySection(index, sectionsIndex) {
+    // Primary: check if the position falls within any section's content blocks
+    for (const sectionId in sectionsIndex) {
+      const sec = sectionsIndex[sectionId];
+      if (sec.content && sec.content.length > 0) {
+        for (const block of sec.content) {
+          if (block.position && block.position.start && block.position.end &&
+              index >= block.position.start.offset &&
+              index <= block.position.end.offset) {
+            return sec;
+          }
+        }
+      }
+    }
+
+    // Fallback: find the nearest heading before this position
+    let nearestSection = null;
+    let nearestOffset = -1;
+    for (const sectionId in sectionsIndex) {
+      const sec = sectionsIndex[sectionId];
+      if (sec.position && sec.position.start &&
+          sec.position.start.offset <= index &&
+          sec.position.start.offset > nearestOffset) {
+        nearestOffset = sec.position.start.offset;
+        nearestSection = sec;
+      }
+    }
+    return nearestSection;
+  }
+
+  /**
+   * Validate a snippetBoundary option
+   * @param {string} snippetBoundary - Snippet boundary
+   * @private
+   */
+  _checkSnippetBoundary(snippetBoundary) {
+    if (!SNIPPET_BOUNDARIES.includes(snippetBoundary)) {
+      throw new InvalidArgumentError(`Invalid snippetBoundary "${snippetBoundary}": use ${SNIPPET_BOUNDARIES.map(value => `"${value}"`).join(', ')}`);
+    }
+  }
+
+  /**
+   * Offsets of the content blocks (paragraphs, code) of all sections
+   * @param {object} sectionsIndex - Sections index of a document
+   * @returns {Array<{ start: number, end: number }>}
+   * @private
+   */
+  _contentBlocks(sectionsIndex) {
+    const blocks = [];
+    for (const sectionId in sectionsIndex) {
+      for (const block of sectionsIndex[sectionId].content || []) {
+        if (block.position?.start && block.position?.end) {
+          blocks.push({ start: block.position.start.offset, end: block.position.end.offset });
+        }
+      }
+    }
+    return blocks;
+  }
+
+  /**
+   * Extract snippets for the occurrences of the search terms, best first.
+   * Matches that fit in one window of maxLength characters share a snippet,
+   * and each heading line with matches is one snippet. Every snippet gets a
+   * score (see _scoreSnippet); ties keep document order (title, h1-h6, body).
+   * @param {object} options
+   * @param {boolean} options.fallback - Return the start of the document when nothing matches (default: true)
+   * @param {boolean} options.ranked - Sort by score and merge matches into windows; false returns one snippet per match in scan order (default: true)
+   * @param {string} options.boundary - Align body and title snippets to "word", "sentence", "paragraph" or "block" boundaries (default: "word")
+   * @private
+   */
+  _extractAllSnippets(query, title, h1, h2, h3, h4, h5, h6, body, maxLength, limitSnippets, structure = [], sectionsIndex = {}, documentPath = '', { fallback = true, ranked = true, boundary = 'word' } = {}) {
+    const searchTerms = this._getSearchTerms(query);
+    const termCount = new Set(searchTerms.map(termObj => termObj.text)).size;
 
-    const snippets = [];
     const sections = [
       { type: 'title', text: title },
       { type: 'h1', text: h1 },
@@ -760,136 +2448,110 @@ export class SearchMix {
       { type: 'body', text: body }
     ];
 
-    // Find all occurrences across all sections
+    // Collect candidates first: snippets are only built for the ones returned
+    const candidates = [];
+    let blocks = null;
     for (const section of sections) {
       if (!section.text) continue;
 
-      const text = section.text;
-      const normalizedText = this._normalizeText(text);
-
-      // Try to find corresponding section in structure for navigation
-      let structureSection = null;
-      if (Object.keys(sectionsIndex).length > 0 && section.type.startsWith('h')) {
-        // For headings, try to find the exact section in structure
-        const headingLines = text.split('\n').filter(line => line.trim());
-        for (const headingLine of headingLines) {
-          structureSection = this._findSectionInStructure(structure, headingLine, section.type, sectionsIndex);
-          if (structureSection) break;
-        }
-      }
+      // Field-scoped terms (e.g. headings:x) only match their own sections
+      const terms = searchTerms.filter(termObj => !termObj.sections || termObj.sections.includes(section.type));
+      if (terms.length === 0) continue;
 
-      // Special handling for headings - split by lines and match individual headings
       if (section.type.startsWith('h')) {
-        const headingLines = text.split('\n').filter(line => line.trim());
-        const normalizedHeadingLines = headingLines.map(h => this._normalizeText(h));
-        
-        for (const termObj of searchTerms) {
-          for (let i = 0; i < normalizedHeadingLines.length && snippets.length < limitSnippets; i++) {
-            termObj.regex.lastIndex = 0;
-            if (termObj.regex.test(normalizedHeadingLines[i])) {
-              // Try to find specific section for this heading
-              const specificSection = this._findSectionInStructure(structure, headingLines[i], section.type, sectionsIndex);
-              
-              snippets.push(this._createNavigableSnippet(
-                headingLines[i],
-                specificSection || section.type,
-                text.indexOf(headingLines[i]),
-                structure,
-                sectionsIndex,
-                documentPath
-              ));
-            }
+        // Headings hold one heading per line
+        for (const line of section.text.split('\n').filter(line => line.trim())) {
+          const matches = this._findMatches(this._normalizeText(line), terms);
+          if (matches.length > 0) {
+            candidates.push({ section, line, matches, score: this._scoreSnippet(matches, termCount) });
           }
-          if (snippets.length >= limitSnippets) break;
         }
       } else {
-        // For title and body, use context-based snippets
-        for (const termObj of searchTerms) {
-          termObj.regex.lastIndex = 0;
-          let match;
-          
-          while ((match = termObj.regex.exec(normalizedText)) !== null && snippets.length < limitSnippets) {
-            const index = match.index;
-
-            // Extract snippet with context
-            const start = Math.max(0, index - Math.floor(maxLength / 2));
-            const end = Math.min(text.length, start + maxLength);
-            
-            let snippet = text.slice(start, end).trim();
-            
-            // Add ellipsis if truncated
-            if (start > 0) snippet = '...' + snippet;
-            if (end < text.length) snippet = snippet + '...';
-
-            // For body text, try to find which section it belongs to using position
-            let bodySection = section.type;
-            if (section.type === 'body' && Object.keys(sectionsIndex).length > 0) {
-              let foundSection = null;
-
-              // Primary: check if match position falls within any section's content blocks
-              for (const sectionId in sectionsIndex) {
-                const sec = sectionsIndex[sectionId];
-                if (sec.content && sec.content.length > 0) {
-                  for (const block of sec.content) {
-                    if (block.position && block.position.start && block.position.end &&
-                        index >= block.position.start.offset &&
-                        index <= block.position.end.offset) {
-                      foundSection = sec;
-                      break;
-                    }
-                  }
-                }
-                if (foundSection) break;
-              }
-
-              // Fallback: find the nearest heading before this position
-              if (!foundSection) {
-                let nearestSection = null;
-                let nearestOffset = -1;
-
-                for (const sectionId in sectionsIndex) {
-                  const sec = sectionsIndex[sectionId];
-                  if (sec.position && sec.position.start &&
-                      sec.position.start.offset <= index &&
-                      sec.position.start.offset > nearestOffset) {
-                    nearestOffset = sec.position.start.offset;
-                    nearestSection = sec;
-                  }
-                }
-
-                if (nearestSection) {
-                  foundSection = nearestSection;
-                }
-              }
-
-              if (foundSection) {
-                bodySection = foundSection;
-              }
-            }
-
-            snippets.push(this._createNavigableSnippet(
-              snippet,
-              bodySection,
-              index,
-              structure,
-              sectionsIndex,
-              documentPath
-            ));
+        let group = null;
+        for (const match of this._findMatches(this._normalizeText(section.text), terms)) {
+          // Link URLs are indexed but stripped from snippets
+          if (section.type === 'body' && isInLinkDestination(section.text, match.index)) continue;
+          if (ranked && group && match.end - group[0].index <= maxLength) {
+            group.push(match);
+          } else {
+            group = [match];
+            candidates.push({ section, matches: group });
           }
-
-          if (snippets.length >= limitSnippets) break;
         }
       }
+    }
 
-      if (snippets.length >= limitSnippets) break;
+    for (const candidate of candidates) {
+      candidate.score ??= this._scoreSnippet(candidate.matches, termCount);
+    }
+    if (ranked) {
+      // Array.prototype.sort is stable: equal scores stay in document order
+      candidates.sort((a, b) => b.score - a.score);
     }
 
+    const snippets = candidates.slice(0, limitSnippets).map(({ section, line, matches, score }) => {
+      if (line !== undefined) {
+        // Try to find the specific section for this heading
+        const specificSection = this._findSectionInStructure(structure, line, section.type, sectionsIndex);
+        const snippet = this._createNavigableSnippet(
+          line,
+          specificSection || section.type,
+          section.text.indexOf(line),
+          structure,
+          sectionsIndex,
+          documentPath
+        );
+        // Offset in the document, to order matches across sections
+        snippet.offset = specificSection?.position?.start?.offset ?? 0;
+        snippet.highlights = this._findHighlights(line, searchTerms, section.type);
+        snippet.score = score;
+        return snippet;
+      }
+
+      // Window centered on the matches (a whole phrase or NEAR window),
+      // then moved to the requested boundaries
+      const text = section.text;
+      const index = matches[0].index;
+      const matchEnd = matches[matches.length - 1].end;
+      const center = Math.floor((index + matchEnd) / 2);
+      const window = { matchStart: index, matchEnd };
+      window.start = Math.max(0, center - Math.floor(maxLength / 2));
+      window.end = Math.min(text.length, window.start + maxLength);
+      const { end, cutStart, cutEnd, ...aligned } = alignSnippet(text, window, boundary, {
+        slack: Math.floor(maxLength / 2),
+        blocks: section.type === 'body' ? (blocks ??= this._contentBlocks(sectionsIndex)) : []
+      });
+      // Never start inside the URL of a link
+      const start = section.type === 'body' ? skipLinkDestination(text, aligned.start, index) : aligned.start;
+
+      let snippet = text.slice(start, end);
+      snippet = section.type === 'body' ? stripMarkdown(snippet) : snippet.trim();
+
+      // Add ellipsis where the text is cut inside a sentence (or word)
+      if (cutStart) snippet = '...' + snippet;
+      if (cutEnd) snippet = snippet + '...';
+
+      // For body text, find which section it belongs to using the position
+      const bodySection = section.type === 'body' && Object.keys(sectionsIndex).length > 0
+        ? this._findBodySection(index, sectionsIndex)
+        : null;
+
+      return {
+        ...this._createNavigableSnippet(snippet, bodySection || section.type, index, structure, sectionsIndex, documentPath),
+        offset: section.type === 'body' ? index : -1,
+        highlights: this._findHighlights(snippet, searchTerms, section.type),
+        score
+      };
+    });
+
     // If no snippets found, return first part of document
-    if (snippets.length === 0) {
+    if (snippets.length === 0 && fallback) {
       const fallbackText = body || title || '';
       if (fallbackText.length > 0) {
-        const snippet = fallbackText.slice(0, maxLength).trim() + (fallbackText.length > maxLength ? '...' : '');
         const fallbackSection = body ? 'body' : 'title';
+        const { end } = alignSnippet(fallbackText, { start: 0, end: Math.min(fallbackText.length, maxLength), matchStart: 0, matchEnd: 0 }, 'word');
+        const head = fallbackText.slice(0, end);
+        const snippet = (body ? stripMarkdown(head) : head.trim()) + (fallbackText.length > end ? '...' : '');
         
         // Try to find first section in structure
         let structureSection = fallbackSection;
@@ -897,7 +2559,10 @@ export class SearchMix {
           structureSection = structure[0];
         }
         
-        snippets.push(this._createNavigableSnippet(snippet, structureSection, 0, structure, sectionsIndex, documentPath));
+        snippets.push({
+          ...this._createNavigableSnippet(snippet, structureSection, 0, structure, sectionsIndex, documentPath),
+          score: 0
+        });
       }
     }
 
@@ -924,7 +2589,7 @@ export class SearchMix {
     }
     
     const result = this.db.prepare(`
-      SELECT path, title, h1, h2, h3, h4, h5, h6, ${bodySelect}, collection, structure, sections_index
+      SELECT path, title, h1, h2, h3, h4, h5, h6, ${bodySelect}, collection, structure, sections_index, metadata
       FROM docs_fts
       WHERE path = ?
     `).get(absolutePath);
@@ -933,9 +2598,10 @@ export class SearchMix {
       return null;
     }
 
-    // Parse tags
+    // Parse tags and metadata
     result.tags = JSON.parse(result.collection);
     delete result.collection;
+    result.metadata = this._parseMetadata(result.metadata);
 
     try {
       if (result.structure) {
@@ -959,7 +2625,7 @@ export class SearchMix {
   getMultiple(pattern) {
     // Get all paths from database
     const allDocs = this.db.prepare(`
-      SELECT path, title, h1, h2, h3, h4, h5, h6, body, collection, structure, sections_index
+      SELECT path, title, h1, h2, h3, h4, h5, h6, body, collection, structure, sections_index, metadata
       FROM docs_fts
     `).all();
 
@@ -971,10 +2637,11 @@ export class SearchMix {
       });
     });
 
-    // Parse tags, structure and sections_index for each match
+    // Parse tags, metadata, structure and sections_index for each match
     matches.forEach(doc => {
       doc.tags = JSON.parse(doc.collection);
       delete doc.collection;
+      doc.metadata = this._parseMetadata(doc.metadata);
 
       try {
         if (doc.structure) {
@@ -1019,9 +2686,9 @@ export class SearchMix {
       // Stats for specific tag
       const { count } = this.db.prepare(`
         SELECT COUNT(*) as count
-        FROM docs_fts
-        WHERE collection LIKE ?
-      `).get(`%"${tag}"%`);
+        FROM docs_tags
+        WHERE tag = ?
+      `).get(tag);
 
       return {
         totalDocs: count,
@@ -1036,16 +2703,15 @@ export class SearchMix {
     `).get();
 
     // Count tag occurrences across all documents
-    const allDocs = this.db.prepare(`
-      SELECT collection FROM docs_fts
+    const rows = this.db.prepare(`
+      SELECT tag AS name, COUNT(*) AS count
+      FROM docs_tags
+      GROUP BY tag
     `).all();
 
     const tags = {};
-    for (const doc of allDocs) {
-      const docTags = JSON.parse(doc.collection);
-      for (const t of docTags) {
-        tags[t] = (tags[t] || 0) + 1;
-      }
+    for (const row of rows) {
+      tags[row.name] = row.count;
     }
 
     return {
@@ -1059,6 +2725,8 @@ export class SearchMix {
    */
   clear() {
     this.db.prepare(`DELETE FROM docs_fts`).run();
+    this.db.prepare(`DELETE FROM docs_hashes`).run();
+    this.db.prepare(`DELETE FROM docs_tags`).run();
   }
 
   /**
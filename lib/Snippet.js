@@ -1,3 +1,17 @@
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 /**
  * Snippet class with navigation methods
  */
@@ -12,11 +26,14 @@ export class Snippet {
     this.text = data.text;
     this.section = data.section;
     this.position = data.position;
+    this.highlights = data.highlights || [];
+    this.score = data.score;
     
     // Document metadata
     this.documentPath = data.documentPath;
     this.documentTitle = data.documentTitle;
     this.tags = data.tags || [];
+    this.metadata = data.metadata || {};
     this.rank = data.rank;
     
     // Navigation properties
@@ -302,9 +319,12 @@ export class Snippet {
       text: this.text,
       section: this.section,
       position: this.position,
+      highlights: this.highlights,
+      score: this.score,
       documentPath: this.documentPath,
       documentTitle: this.documentTitle,
       tags: this.tags,
+      metadata: this.metadata,
       rank: this.rank,
       sectionId: this.sectionId,
       heading: this.heading,
@@ -314,6 +334,42 @@ export class Snippet {
     };
   }
 
+  /**
+   * Render the text with its highlights wrapped in tags. The text is HTML-escaped.
+   * @param {object} options
+   * @param {string} options.pre  - Inserted before each highlight (default: "<mark>")
+   * @param {string} options.post - Inserted after each highlight (default: "</mark>")
+   * @returns {string} HTML
+   */
+  toHTML({ pre = "<mark>", post = "</mark>" } = {}) {
+    return this._render(pre, post, escapeHTML);
+  }
+
+  /**
+   * Render the text with its highlights wrapped in Markdown emphasis
+   * @param {object} options
+   * @param {string} options.pre  - Inserted before each highlight (default: "**")
+   * @param {string} options.post - Inserted after each highlight (default: "**")
+   * @returns {string} Markdown
+   */
+  toMarkdown({ pre = "**", post = "**" } = {}) {
+    return this._render(pre, post, text => text);
+  }
+
+  /**
+   * Wrap each highlight of the text
+   * @private
+   */
+  _render(pre, post, escape) {
+    let output = "";
+    let index = 0;
+    for (const { start, end } of this.highlights) {
+      output += escape(this.text.slice(index, start)) + pre + escape(this.text.slice(start, end)) + post;
+      index = end;
+    }
+    return output + escape(this.text.slice(index));
+  }
+
   /**
    * String representation
    * @returns {string}
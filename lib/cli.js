@@ -0,0 +1,384 @@
+import { parseArgs } from "node:util";
+import { SearchMix } from "./SearchMix.js";
+import { createServer } from "./server.js";
+import { serveStdio } from "./mcp.js";
+import { buildOutline, outlineToLines } from "./outline.js";
+
+const HELP = `Usage: searchmix <command> [options]
+
+Commands:
+  index <path...>      Index files, directories (recursively) or both
+  search <query>       Search the index
+  get <path>           Print an indexed document
+  outline <path>       Print the heading hierarchy of a document
+  stats                Show document and tag counts
+  remove [path...]     Remove documents by path (or all documents with --tag)
+  clear                Remove every document from the index
+  watch <dir>          Index a directory and keep it in sync with changes
+  serve                Start an HTTP JSON server for the index
+  mcp                  Start a Model Context Protocol server on stdio
+  help                 Show this help
+
+Options:
+  --db <path>          Database path (default: ./db/searchmix.db)
+  --tags <a,b>         Tags to assign (index) or filter by (search)
+  --tag <name>         Single tag (stats, remove)
+  --exclude <pattern>  Pattern to exclude when scanning (repeatable)
+  --update             Reindex documents that are already indexed
+  --prune              Remove documents whose files no longer exist (index)
+  --front-matter       Use front matter tags, #hashtags and title (index, watch)
+  --limit <n>          Maximum documents (search, default: 20)
+  --snippets <n>       Maximum snippets per document (search, default: 5)
+  --length <n>         Snippet length in characters (search)
+  --json               Print JSON
+  --ndjson             Print one JSON object per line (search)
+  --debounce <ms>      Wait for changes to settle (watch, default: 300)
+  --port <n>           Port to listen on (serve, default: 3000)
+  --host <host>        Host to bind (serve, default: 127.0.0.1)
+  --cors <origins>     Allowed CORS origins, or * for any (serve)
+  --read-only          Reject add/remove requests (serve)
+`;
+
+const OPTIONS = {
+  db: { type: "string", default: "./db/searchmix.db" },
+  tags: { type: "string", multiple: true },
+  tag: { type: "string" },
+  exclude: { type: "string", multiple: true },
+  update: { type: "boolean", default: false },
+  prune: { type: "boolean", default: false },
+  "front-matter": { type: "boolean", default: false },
+  limit: { type: "string" },
+  snippets: { type: "string" },
+  length: { type: "string" },
+  json: { type: "boolean", default: false },
+  ndjson: { type: "boolean", default: false },
+  debounce: { type: "string" },
+  port: { type: "string", default: "3000" },
+  host: { type: "string", default: "127.0.0.1" },
+  cors: { type: "string", multiple: true },
+  "read-only": { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false }
+};
+
+/**
+ * Split repeatable, comma separated option values into a flat list
+ * @param {string[]|undefined} values - Raw option values
+ * @returns {string[]} Values
+ */
+function splitList(values) {
+  if (!values) return [];
+  return values
+    .flatMap(value => value.split(","))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a numeric option
+ * @param {string|undefined} value - Raw option value
+ * @param {string} name - Option name (for error messages)
+ * @returns {number|undefined} Parsed number
+ */
+function toInteger(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number.parseInt(value, 10);
+  if (Number.isNaN(number) || number < 0) {
+    throw new Error(`--${name} must be a non-negative integer`);
+  }
+  return number;
+}
+
+/**
+ * Serialize a snippet including its breadcrumbs
+ * @param {Snippet} snippet - Search result snippet
+ * @returns {object} Plain object
+ */
+function snippetToJSON(snippet) {
+  return {
+    ...snippet.toJSON(),
+    breadcrumbs: snippet.getBreadcrumbs()
+  };
+}
+
+const commands = {
+  async index(searcher, args, values, out) {
+    if (args.length === 0) {
+      throw new Error("index requires at least one path");
+    }
+
+    const before = searcher.getStats().totalDocs;
+    const options = { tags: splitList(values.tags), update: values.update };
+    if (values.exclude) {
+      options.exclude = splitList(values.exclude);
+    }
+
+    const pruned = [];
+    for (const target of args) {
+      await searcher.addDocument(target, options);
+      if (values.prune) {
+        pruned.push(...searcher.prune({ root: target, exclude: options.exclude }));
+      }
+    }
+
+    const { totalDocs } = searcher.getStats();
+    if (values.json) {
+      out.json({ totalDocs, added: totalDocs - before + pruned.length, pruned });
+    } else {
+      out.line(`Indexed ${args.join(", ")} (${totalDocs} documents, ${totalDocs - before + pruned.length} new)`);
+      for (const prunedPath of pruned) {
+        out.line(`  pruned ${prunedPath}`);
+      }
+    }
+  },
+
+  search(searcher, args, values, out) {
+    const query = args.join(" ");
+    if (!query) {
+      throw new Error("search requires a query");
+    }
+
+    const options = { suggestBelow: 3 };
+    const tags = splitList(values.tags);
+    if (tags.length > 0) options.tags = tags;
+    if (values.limit !== undefined) options.limit = toInteger(values.limit, "limit");
+    if (values.snippets !== undefined) options.limitSnippets = toInteger(values.snippets, "snippets");
+    if (values.length !== undefined) options.snippetLength = toInteger(values.length, "length");
+
+    const { results, totalCount, totalSnippets, suggestions = [] } = searcher.search(query, options);
+
+    if (values.ndjson) {
+      for (const snippet of results) {
+        out.line(JSON.stringify(snippetToJSON(snippet)));
+      }
+      return;
+    }
+
+    if (values.json) {
+      out.json({ results: results.map(snippetToJSON), totalCount, totalSnippets, suggestions });
+      return;
+    }
+
+    out.line(`Found ${totalCount} documents, ${totalSnippets} snippets`);
+    if (suggestions.length > 0) {
+      out.line(`Did you mean: ${suggestions.map(suggestion => suggestion.query).join(", ")}?`);
+    }
+    results.forEach((snippet, i) => {
+      out.line("");
+      out.line(`[${i + 1}] ${snippet.documentTitle || snippet.documentPath}`);
+      const breadcrumbs = snippet.getBreadcrumbsText();
+      if (breadcrumbs) {
+        out.line(`    ${breadcrumbs}`);
+      }
+      out.line(`    ${snippet.text.replace(/\s*\n\s*/g, " ")}`);
+    });
+  },
+
+  get(searcher, args, values, out) {
+    if (args.length !== 1) {
+      throw new Error("get requires exactly one path");
+    }
+
+    const doc = searcher.get(args[0]);
+    if (!doc) {
+      throw new Error(`Document not found: ${args[0]}`);
+    }
+
+    if (values.json) {
+      out.json(doc);
+    } else {
+      out.line(doc.body);
+    }
+  },
+
+  outline(searcher, args, values, out) {
+    if (args.length !== 1) {
+      throw new Error("outline requires exactly one path");
+    }
+
+    const doc = searcher.get(args[0]);
+    if (!doc) {
+      throw new Error(`Document not found: ${args[0]}`);
+    }
+
+    const outline = buildOutline(doc);
+    if (values.json) {
+      out.json(outline);
+    } else {
+      for (const line of outlineToLines(outline)) {
+        out.line(line);
+      }
+    }
+  },
+
+  stats(searcher, args, values, out) {
+    const stats = searcher.getStats({ tag: values.tag || null });
+
+    if (values.json) {
+      out.json(stats);
+      return;
+    }
+
+    out.line(`Documents: ${stats.totalDocs}`);
+    if (stats.tags) {
+      for (const [tag, count] of Object.entries(stats.tags)) {
+        out.line(`  ${tag}: ${count}`);
+      }
+    }
+  },
+
+  remove(searcher, args, values, out) {
+    if (args.length === 0 && !values.tag) {
+      throw new Error("remove requires a path or --tag");
+    }
+
+    const before = searcher.getStats().totalDocs;
+    for (const target of args) {
+      searcher.removeDocument(target);
+    }
+    if (values.tag) {
+      searcher.removeByTag(values.tag);
+    }
+    const removed = before - searcher.getStats().totalDocs;
+
+    if (values.json) {
+      out.json({ removed });
+    } else {
+      out.line(`Removed ${removed} documents`);
+    }
+  },
+
+  clear(searcher, args, values, out) {
+    searcher.clear();
+    if (values.json) {
+      out.json({ cleared: true });
+    } else {
+      out.line("Index cleared");
+    }
+  },
+
+  async watch(searcher, args, values, out) {
+    if (args.length !== 1) {
+      throw new Error("watch requires exactly one directory");
+    }
+
+    const options = { tags: splitList(values.tags) };
+    if (values.exclude) {
+      options.exclude = splitList(values.exclude);
+    }
+
+    // Catch up with changes made while nobody was watching
+    await searcher.addDocument(args[0], { ...options, update: values.update });
+
+    if (values.debounce !== undefined) {
+      options.debounce = toInteger(values.debounce, "debounce");
+    }
+    const watcher = searcher.watch(args[0], options);
+
+    watcher.on("change", change => {
+      if (values.json || values.ndjson) {
+        out.line(JSON.stringify(change));
+      } else {
+        out.line(`${change.type.padEnd(6)} ${change.path}`);
+      }
+    });
+    watcher.on("error", error => {
+      out.error(error.message);
+    });
+
+    if (!values.json && !values.ndjson) {
+      out.line(`Watching ${args[0]} (${searcher.getStats().totalDocs} documents)`);
+    }
+
+    await new Promise(resolve => {
+      const stop = () => {
+        process.removeListener("SIGINT", stop);
+        process.removeListener("SIGTERM", stop);
+        resolve();
+      };
+      process.once("SIGINT", stop);
+      process.once("SIGTERM", stop);
+    });
+    await watcher.close();
+  },
+
+  serve(searcher, args, values, out) {
+    const origins = splitList(values.cors);
+    const cors = origins.includes("*") ? true : (origins.length > 0 ? origins : false);
+    const server = createServer(searcher, { cors, readOnly: values["read-only"] });
+    const port = toInteger(values.port, "port");
+
+    // Resolve once the server stops so the database is closed afterwards
+    return new Promise((resolve, reject) => {
+      const stop = () => server.close();
+      process.once("SIGINT", stop);
+      process.once("SIGTERM", stop);
+
+      server.once("error", reject);
+      server.once("close", () => {
+        process.removeListener("SIGINT", stop);
+        process.removeListener("SIGTERM", stop);
+        resolve();
+      });
+      server.listen(port, values.host, () => {
+        out.line(`SearchMix server listening on http://${values.host}:${server.address().port}`);
+      });
+    });
+  },
+
+  mcp(searcher) {
+    // stdout carries the protocol, so nothing else may be printed here
+    return serveStdio(searcher);
+  }
+};
+
+/**
+ * Run the searchmix command line interface
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @param {object} io - Output streams
+ * @param {object} io.stdout - Stream for results (default: process.stdout)
+ * @param {object} io.stderr - Stream for errors (default: process.stderr)
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  const out = {
+    line: (text) => stdout.write(`${text}\n`),
+    json: (value) => stdout.write(`${JSON.stringify(value, null, 2)}\n`),
+    error: (text) => stderr.write(`Error: ${text}\n`)
+  };
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${HELP}`);
+    return 1;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...args] = positionals;
+
+  if (!command || command === "help" || values.help) {
+    stdout.write(HELP);
+    return 0;
+  }
+
+  const handler = commands[command];
+  if (!handler) {
+    stderr.write(`Unknown command: ${command}\n\n${HELP}`);
+    return 1;
+  }
+
+  let searcher;
+  try {
+    searcher = new SearchMix({ dbPath: values.db, promoteFrontMatter: values["front-matter"] });
+    await handler(searcher, args, values, out);
+    return 0;
+  } catch (error) {
+    out.error(error.message);
+    return 1;
+  } finally {
+    if (searcher) {
+      searcher.close();
+    }
+  }
+}
@@ -0,0 +1,154 @@
+import path from "node:path";
+import { InvalidArgumentError } from "./errors.js";
+
+/**
+ * Default pattern for dates in file names: YYYY-MM-DD, YYYY-MM or YYYYMMDD
+ */
+export const DEFAULT_FILENAME_DATE_PATTERN = /(?<year>\d{4})-?(?<month>\d{2})(?:-?(?<day>\d{2}))?/;
+
+const UNITS = {
+  day: (date, n) => date.setUTCDate(date.getUTCDate() + n),
+  week: (date, n) => date.setUTCDate(date.getUTCDate() + 7 * n),
+  month: (date, n) => date.setUTCMonth(date.getUTCMonth() + n),
+  year: (date, n) => date.setUTCFullYear(date.getUTCFullYear() + n)
+};
+
+const RELATIVE_REGEX = /^(?:last\s+(\d+)\s+(day|week|month|year)s?|(\d+)\s+(day|week|month|year)s?\s+ago)$/i;
+const PARTIAL_DATE_REGEX = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+
+/**
+ * Start of the UTC day of a timestamp
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {Date}
+ */
+function startOfDay(time) {
+  const date = new Date(time);
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+}
+
+/**
+ * Resolve one end of a date range to milliseconds since the epoch (UTC).
+ * Accepts a Date, a timestamp, an ISO date ("2025", "2025-05", "2025-05-01",
+ * "2025-05-01T10:00:00Z"), "today", "yesterday", "N days ago" or "last N days"
+ * (also weeks, months and years). Partial dates and days cover their whole
+ * period: as an upper bound "2025-05" means the end of May.
+ * @param {Date|number|string} value - Date expression
+ * @param {boolean} end - Resolve to the end of the period (upper bound)
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Milliseconds since the epoch
+ */
+export function parseDateExpression(value, end = false, now = Date.now()) {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      throw new InvalidArgumentError("Invalid date in dateRange");
+    }
+    return value.getTime();
+  }
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return value;
+  }
+  if (typeof value !== "string") {
+    throw new InvalidArgumentError(`Invalid date in dateRange: ${value}`);
+  }
+
+  const text = value.trim().toLowerCase();
+
+  // Whole days relative to today
+  const days = { today: 0, yesterday: -1 }[text];
+  if (days !== undefined) {
+    const date = startOfDay(now);
+    UNITS.day(date, days + (end ? 1 : 0));
+    return date.getTime() - (end ? 1 : 0);
+  }
+
+  const relative = text.match(RELATIVE_REGEX);
+  if (relative) {
+    const amount = Number(relative[1] ?? relative[3]);
+    const date = new Date(now);
+    UNITS[relative[2] ?? relative[4]](date, -amount);
+    return date.getTime();
+  }
+
+  const partial = text.match(PARTIAL_DATE_REGEX);
+  if (partial) {
+    const [, year, month, day] = partial;
+    const date = new Date(Date.UTC(Number(year), month ? Number(month) - 1 : 0, day ? Number(day) : 1));
+    if (end) {
+      UNITS[day ? "day" : month ? "month" : "year"](date, 1);
+      return date.getTime() - 1;
+    }
+    return date.getTime();
+  }
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new InvalidArgumentError(`Invalid date in dateRange: ${value}`);
+  }
+  return time;
+}
+
+/**
+ * Resolve a dateRange search option
+ * @param {string|object} dateRange - "last 30 days", or { from, to, field, pattern }
+ * @param {number} now - Current time in milliseconds
+ * @returns {{ field: string, from: number|null, to: number|null, pattern: { source: string, flags: string }|null }}
+ * Bounds in milliseconds (inclusive) and the file name pattern
+ */
+export function resolveDateRange(dateRange, now = Date.now()) {
+  const { from = null, to = null, field = "mtime", pattern = null } = typeof dateRange === "string"
+    ? { from: dateRange }
+    : dateRange;
+
+  if (field !== "mtime" && field !== "filename" && !/^metadata\.[^"]+$/.test(field)) {
+    throw new InvalidArgumentError(`Invalid dateRange field "${field}": use "mtime", "filename" or "metadata.<field>"`);
+  }
+  if (from === null && to === null) {
+    throw new InvalidArgumentError('dateRange requires "from" or "to"');
+  }
+
+  const regex = pattern === null ? null : compileDatePattern(pattern);
+  return {
+    field,
+    from: from === null ? null : parseDateExpression(from, false, now),
+    to: to === null ? null : parseDateExpression(to, true, now),
+    pattern: regex && { source: regex.source, flags: regex.flags }
+  };
+}
+
+/**
+ * Compile a file name date pattern, keeping its flags. The g and y flags are
+ * dropped: the pattern matches a file name once, from anywhere, without
+ * lastIndex state between file names.
+ * @param {RegExp|string} pattern - Date pattern
+ * @returns {RegExp}
+ */
+export function compileDatePattern(pattern) {
+  let regex;
+  try {
+    regex = new RegExp(pattern);
+  } catch (error) {
+    throw new InvalidArgumentError(`Invalid date pattern: ${error.message}`);
+  }
+  return new RegExp(regex.source, regex.flags.replace(/[gy]/g, ""));
+}
+
+/**
+ * Extract a date from the file name of a document path. The pattern uses
+ * named groups year, month and day (or groups 1-3); missing month or day
+ * default to the first of the period.
+ * @param {string} documentPath - Document path
+ * @param {RegExp|string} pattern - Date pattern
+ * @returns {number|null} Milliseconds since the epoch (UTC), or null without a valid date
+ */
+export function filenameDate(documentPath, pattern = DEFAULT_FILENAME_DATE_PATTERN) {
+  const match = path.basename(documentPath).match(pattern);
+  if (!match) return null;
+
+  const year = Number(match.groups?.year ?? match[1]);
+  const month = Number(match.groups?.month ?? match[2] ?? 1);
+  const day = Number(match.groups?.day ?? match[3] ?? 1);
+  if (!year || month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  return Date.UTC(year, month - 1, day);
+}
@@ -21,7 +21,7 @@ export async function epubToMarkdown(epubPath) {
         // Add YAML front matter
         const metadata = epub.metadata;
         const hasMetadata =
-          metadata.title || metadata.creator || metadata.description || metadata.language || metadata.publisher;
+          metadata.title || metadata.creator || metadata.description || metadata.language || metadata.publisher || metadata.date;
         
         if (hasMetadata) {
           const frontMatter = ["---"];
@@ -40,6 +40,9 @@ export async function epubToMarkdown(epubPath) {
             const cleanPublisher = cleanHtmlFromMetadata(metadata.publisher);
             frontMatter.push(`publisher: "${cleanPublisher}"`);
           }
+          if (metadata.date) {
+            frontMatter.push(`date: "${String(metadata.date).trim()}"`);
+          }
           if (metadata.description) {
             // Clean HTML and escape quotes in description
             const cleanDesc = cleanHtmlFromMetadata(metadata.description);
@@ -0,0 +1,23 @@
+/**
+ * Invalid argument passed to a SearchMix method: an unknown option value,
+ * a malformed cursor or date, or a query object that cannot be compiled
+ */
+export class InvalidArgumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidArgumentError";
+    this.code = "INVALID_ARGUMENT";
+  }
+}
+
+/**
+ * Something a SearchMix method was asked to look into does not exist,
+ * e.g. an unknown section of an indexed document
+ */
+export class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NotFoundError";
+    this.code = "NOT_FOUND";
+  }
+}
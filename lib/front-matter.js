@@ -0,0 +1,89 @@
+import YAML from "yaml";
+
+const FRONT_MATTER_REGEX = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Split YAML front matter from Markdown content
+ * @param {string} markdown - Markdown content
+ * @returns {{ data: object, body: string }} Parsed front matter (empty object if none or invalid) and the remaining Markdown
+ */
+export function parseFrontMatter(markdown) {
+  const match = markdown ? markdown.match(FRONT_MATTER_REGEX) : null;
+  if (!match) {
+    return { data: {}, body: markdown || "" };
+  }
+
+  let data;
+  try {
+    data = YAML.parse(match[1]);
+  } catch (error) {
+    // Not YAML after all (e.g. a thematic break): keep it as content
+    return { data: {}, body: markdown };
+  }
+
+  if (data === null || data === undefined) {
+    data = {};
+  } else if (typeof data !== "object" || Array.isArray(data)) {
+    return { data: {}, body: markdown };
+  }
+
+  return {
+    data: toJSONValue(data),
+    body: markdown.slice(match[0].length).replace(/^\s*\n/, "")
+  };
+}
+
+/**
+ * Convert parsed YAML values to JSON-safe values (dates become ISO strings)
+ * @param {*} value - Parsed value
+ * @returns {*} JSON-safe value
+ */
+function toJSONValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJSONValue);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toJSONValue(item)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Read tags declared in front matter (`tags` or `tag`), as a list or a
+ * comma/space separated string. Leading "#" characters are removed.
+ * @param {object} data - Parsed front matter
+ * @returns {string[]} Tags
+ */
+export function extractFrontMatterTags(data) {
+  const declared = data.tags ?? data.tag;
+  if (declared === undefined || declared === null) return [];
+
+  const values = Array.isArray(declared) ? declared : String(declared).split(/[,\s]+/);
+  return values
+    .filter(value => value !== null && value !== undefined)
+    .map(value => String(value).trim().replace(/^#+/, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Find inline #hashtags in text. Headings ("# Title"), numbers ("#1")
+ * and URL fragments are not hashtags.
+ * @param {string} text - Text to scan
+ * @returns {string[]} Unique hashtags without "#"
+ */
+export function extractHashtags(text) {
+  if (!text) return [];
+
+  const hashtags = new Set();
+  for (const match of text.matchAll(/(?<![^\s(])#([\p{L}\p{N}_][\p{L}\p{N}_/-]*)/gu)) {
+    if (/\p{L}/u.test(match[1])) {
+      hashtags.add(match[1]);
+    }
+  }
+  return [...hashtags];
+}
@@ -0,0 +1,257 @@
+import fs from "node:fs";
+import readline from "node:readline";
+import { Snippet } from "./Snippet.js";
+import { buildOutline } from "./outline.js";
+
+const { version: VERSION } = JSON.parse(
+  fs.readFileSync(new URL("../package.json", import.meta.url), "utf-8")
+);
+
+const PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+const TOOLS = [
+  {
+    name: "search",
+    description: "Full-text search over the indexed documents. Supports FTS5 syntax (AND, OR, NOT, \"phrases\", prefix*, title:/h1:...h6:/body: fields). Each result includes the document path, a stable section id and breadcrumbs; pass them to read_section to read the full section. When few documents match, suggestions lists spelling corrections of the query to try.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Search query" },
+        limit: { type: "integer", minimum: 1, description: "Maximum documents (default: 10)" },
+        limitSnippets: { type: "integer", minimum: 1, description: "Maximum snippets per document (default: 3)" },
+        tags: { type: "array", items: { type: "string" }, description: "Only documents with any of these tags (untagged documents are always included)" }
+      },
+      required: ["query"]
+    }
+  },
+  {
+    name: "read_section",
+    description: "Read the full text of a section by document path and section id, with its breadcrumbs, parent and children ids for further navigation.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Document path as returned by search" },
+        sectionId: { type: "string", description: "Section id (e.g. \"s4\")" }
+      },
+      required: ["path", "sectionId"]
+    }
+  },
+  {
+    name: "get_outline",
+    description: "Get the heading hierarchy of a document as a nested tree of { id, type, text, depth, children }.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Document path as returned by search" }
+      },
+      required: ["path"]
+    }
+  },
+  {
+    name: "list_tags",
+    description: "List the tags in the index with the number of documents per tag.",
+    inputSchema: { type: "object", properties: {} }
+  }
+];
+
+/**
+ * Error raised for invalid tool arguments
+ * @private
+ */
+class ToolError extends Error {}
+
+/**
+ * Require a non-empty string argument
+ * @param {object} args - Tool arguments
+ * @param {string} name - Argument name
+ * @returns {string} Value
+ */
+function requireString(args, name) {
+  if (typeof args[name] !== "string" || !args[name]) {
+    throw new ToolError(`Argument "${name}" must be a non-empty string`);
+  }
+  return args[name];
+}
+
+/**
+ * Build the tool implementations for a SearchMix instance
+ * @param {SearchMix} searcher - SearchMix instance
+ * @returns {object} Tool handlers by name
+ */
+function createTools(searcher) {
+  return {
+    search(args) {
+      const query = requireString(args, "query");
+      const options = {
+        limit: args.limit ?? 10,
+        limitSnippets: args.limitSnippets ?? 3,
+        suggestBelow: 3
+      };
+      if (args.tags && args.tags.length > 0) {
+        options.tags = args.tags;
+      }
+
+      const { results, totalCount, suggestions = [] } = searcher.search(query, options);
+      return {
+        totalCount,
+        suggestions: suggestions.map(suggestion => suggestion.query),
+        results: results.map(snippet => ({
+          path: snippet.documentPath,
+          title: snippet.documentTitle,
+          sectionId: snippet.sectionId ?? null,
+          breadcrumbs: snippet.getBreadcrumbs().map(({ id, text }) => ({ id, text })),
+          section: snippet.section,
+          text: snippet.text,
+          tags: snippet.tags
+        }))
+      };
+    },
+
+    read_section(args) {
+      const documentPath = requireString(args, "path");
+      const sectionId = requireString(args, "sectionId");
+
+      const details = searcher.getHeadingById(documentPath, sectionId);
+      if (!details) {
+        throw new ToolError(`Section not found: ${sectionId} in ${documentPath}`);
+      }
+
+      const snippet = new Snippet({
+        documentPath,
+        sectionId: details.id,
+        parentId: details.parent?.id,
+        childrenIds: (details.children || []).map(child => child.id),
+        contentCount: details.contentCount,
+        heading: details.text ? { id: details.id, type: details.type, text: details.text, depth: details.depth } : undefined
+      }, searcher);
+
+      return {
+        path: documentPath,
+        sectionId: details.id,
+        heading: details.text,
+        breadcrumbs: snippet.getBreadcrumbs().map(({ id, text }) => ({ id, text })),
+        parent: details.parent ? { id: details.parent.id, text: details.parent.text } : null,
+        children: (details.children || []).map(({ id, text }) => ({ id, text })),
+        text: details.contentCount > 0 ? snippet.getText() : `${"#".repeat(details.depth || 1)} ${details.text}`
+      };
+    },
+
+    get_outline(args) {
+      const documentPath = requireString(args, "path");
+      const doc = searcher.get(documentPath, { position: 0, length: 0 });
+      if (!doc) {
+        throw new ToolError(`Document not found: ${documentPath}`);
+      }
+      return { path: doc.path, title: doc.title, outline: buildOutline(doc) };
+    },
+
+    list_tags() {
+      return searcher.getStats();
+    }
+  };
+}
+
+/**
+ * Create a Model Context Protocol message handler for a SearchMix index
+ * @param {SearchMix} searcher - SearchMix instance
+ * @returns {function(object): Promise<object|null>} Handles one JSON-RPC message and returns the response (null for notifications)
+ */
+export function createMcpHandler(searcher) {
+  const tools = createTools(searcher);
+
+  const methods = {
+    initialize(params = {}) {
+      const requested = params.protocolVersion;
+      return {
+        protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+        capabilities: { tools: {} },
+        serverInfo: { name: "searchmix", version: VERSION }
+      };
+    },
+
+    ping() {
+      return {};
+    },
+
+    "tools/list"() {
+      return { tools: TOOLS };
+    },
+
+    "tools/call"(params = {}) {
+      const tool = tools[params.name];
+      if (!tool) {
+        throw Object.assign(new Error(`Unknown tool: ${params.name}`), { code: INVALID_PARAMS });
+      }
+
+      // Tool failures are reported in the result so the agent can recover
+      try {
+        const result = tool(params.arguments || {});
+        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+      } catch (error) {
+        return { content: [{ type: "text", text: error.message }], isError: true };
+      }
+    }
+  };
+
+  return async (message) => {
+    const isRequest = message && message.id !== undefined && message.id !== null;
+
+    if (!message || message.jsonrpc !== "2.0" || typeof message.method !== "string") {
+      return isRequest || !message
+        ? { jsonrpc: "2.0", id: message?.id ?? null, error: { code: INVALID_REQUEST, message: "Invalid request" } }
+        : null;
+    }
+
+    // Notifications (e.g. notifications/initialized) never get a response
+    if (!isRequest) {
+      return null;
+    }
+
+    const method = methods[message.method];
+    if (!method) {
+      return { jsonrpc: "2.0", id: message.id, error: { code: METHOD_NOT_FOUND, message: `Method not found: ${message.method}` } };
+    }
+
+    try {
+      return { jsonrpc: "2.0", id: message.id, result: await method(message.params) };
+    } catch (error) {
+      return { jsonrpc: "2.0", id: message.id, error: { code: error.code ?? INVALID_PARAMS, message: error.message } };
+    }
+  };
+}
+
+/**
+ * Serve a SearchMix index over MCP stdio (newline-delimited JSON-RPC)
+ * @param {SearchMix} searcher - SearchMix instance
+ * @param {object} options - Options
+ * @param {stream.Readable} options.input - Input stream (default: process.stdin)
+ * @param {stream.Writable} options.output - Output stream (default: process.stdout)
+ * @returns {Promise<void>} Resolves when the input stream ends
+ */
+export async function serveStdio(searcher, { input = process.stdin, output = process.stdout } = {}) {
+  const handle = createMcpHandler(searcher);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      output.write(JSON.stringify({ jsonrpc: "2.0", id: null, error: { code: PARSE_ERROR, message: "Parse error" } }) + "\n");
+      continue;
+    }
+
+    const response = await handle(message);
+    if (response) {
+      output.write(JSON.stringify(response) + "\n");
+    }
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Build the heading hierarchy of a document as a nested tree
+ * @param {object} doc - Document returned by SearchMix.get()
+ * @returns {object[]} Nested sections: { id, type, text, depth, children }
+ */
+export function buildOutline(doc) {
+  const sectionsIndex = doc.sections_index || {};
+
+  const build = (section) => ({
+    id: section.id,
+    type: section.type,
+    text: section.text,
+    depth: section.depth,
+    children: (section.childrenIds || [])
+      .map(childId => sectionsIndex[childId])
+      .filter(Boolean)
+      .map(build)
+  });
+
+  // Top-level sections without text are paragraphs before the first heading
+  return (doc.structure || [])
+    .map(section => sectionsIndex[section.id] || section)
+    .filter(section => section.text)
+    .map(build);
+}
+
+/**
+ * Render an outline tree as indented lines ("text [id]")
+ * @param {object[]} outline - Tree returned by buildOutline()
+ * @returns {string[]} Lines
+ */
+export function outlineToLines(outline) {
+  const lines = [];
+
+  const walk = (section) => {
+    const indent = "  ".repeat(Math.max(0, section.depth - 1));
+    lines.push(`${indent}${section.text} [${section.id}]`);
+    section.children.forEach(walk);
+  };
+
+  outline.forEach(walk);
+  return lines;
+}
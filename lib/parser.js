@@ -5,19 +5,20 @@ import { visit } from "unist-util-visit";
 /**
  * Recursively extract text from a node and its children
  * @param {object} node - AST node
+ * @param {boolean} includeCode - Whether to include inline code (default: true)
  * @returns {string} Extracted text
  */
-function extractTextFromNode(node) {
+function extractTextFromNode(node, includeCode = true) {
   if (!node) return "";
   
   // Direct text node
-  if (node.type === "text" || node.type === "inlineCode") {
+  if (node.type === "text" || (includeCode && node.type === "inlineCode")) {
     return node.value || "";
   }
   
   // Node with children (emphasis, strong, link, etc.)
   if (node.children && Array.isArray(node.children)) {
-    return node.children.map(child => extractTextFromNode(child)).join("");
+    return node.children.map(child => extractTextFromNode(child, includeCode)).join("");
   }
   
   return "";
@@ -28,7 +29,8 @@ function extractTextFromNode(node) {
  * @param {string} markdown - Markdown content to parse
  * @param {object} options - Parser options
  * @param {boolean} options.includeCodeBlocks - Whether to include code blocks in body
- * @returns {object} Extracted fields: { title, h1, h2, h3, h4, h5, h6, body, structure }
+ * @returns {object} Extracted fields: { title, h1, h2, h3, h4, h5, h6, body, prose, structure };
+ * prose is the paragraph text of body without any code
  */
 export function extractMarkdownFields(markdown, { includeCodeBlocks = false } = {}) {
   const tree = unified().use(remarkParse).parse(markdown);
@@ -41,6 +43,7 @@ export function extractMarkdownFields(markdown, { includeCodeBlocks = false } =
   const h5 = [];
   const h6 = [];
   const bodyParts = [];
+  const proseParts = [];
 
   // Structure to maintain document hierarchy
   const structure = [];
@@ -124,6 +127,12 @@ export function extractMarkdownFields(markdown, { includeCodeBlocks = false } =
       
       if (text) {
         bodyParts.push(text);
+
+        const prose = (node.children || [])
+          .map(child => extractTextFromNode(child, false))
+          .join("")
+          .trim();
+        if (prose) proseParts.push(prose);
         
         // Add to current section's content
         if (currentSection) {
@@ -191,6 +200,7 @@ export function extractMarkdownFields(markdown, { includeCodeBlocks = false } =
     h5: h5.join("\n"),
     h6: h6.join("\n"),
     body: bodyParts.join("\n\n"),
+    prose: proseParts.join("\n\n"),
     structure, // Document hierarchical structure (tree)
     sectionsIndex, // Flat index of all sections by ID
   };
@@ -0,0 +1,534 @@
+import { InvalidArgumentError } from "./errors.js";
+
+/**
+ * Fields that can prefix a search term ("title:word"). Each one maps to
+ * the normalized FTS5 column that is searched.
+ */
+export const QUERY_FIELDS = ["title", "h1", "h2", "h3", "h4", "h5", "h6", "headings", "body"];
+
+/**
+ * FTS5 operators, which are query syntax rather than words to search
+ */
+export const FTS5_OPERATORS = ["AND", "OR", "NOT", "NEAR"];
+
+/**
+ * Check whether a term contains something the FTS5 tokenizer can index
+ * @param {string} text - Term text
+ * @returns {boolean}
+ */
+function hasWords(text) {
+  return /[\p{L}\p{N}]/u.test(text);
+}
+
+/**
+ * Parse end-user input in "simple" query mode. Everything is plain text
+ * except a small safe syntax:
+ *   - "quoted phrase"
+ *   - -word or -"phrase" to exclude
+ *   - field:word or field:"phrase" (title, h1-h6, headings, body); unknown fields are plain text
+ *   - word* for prefix matching
+ * Unbalanced quotes never fail: the phrase runs to the end of the input.
+ * @param {string} query - Raw user input
+ * @returns {Array<{ text: string, start: number, phrase: boolean, prefix: boolean, exclude: boolean, field: string|null }>}
+ * Terms; start is the offset of text in the query
+ */
+export function parseSimpleQuery(query) {
+  const terms = [];
+  const input = query || "";
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    let exclude = false;
+    if (input[i] === "-" && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      exclude = true;
+      i++;
+    }
+
+    let field = null;
+    const fieldMatch = input.slice(i).match(/^([a-z0-9]+):(?=\S)/i);
+    if (fieldMatch && QUERY_FIELDS.includes(fieldMatch[1].toLowerCase())) {
+      field = fieldMatch[1].toLowerCase();
+      i += fieldMatch[0].length;
+    }
+
+    let text;
+    let start;
+    let phrase = false;
+    if (input[i] === '"') {
+      const end = input.indexOf('"', i + 1);
+      start = i + 1;
+      text = input.slice(start, end === -1 ? input.length : end);
+      phrase = true;
+      i = end === -1 ? input.length : end + 1;
+    } else {
+      const end = input.slice(i).search(/\s/);
+      start = i;
+      text = end === -1 ? input.slice(i) : input.slice(i, i + end);
+      i = end === -1 ? input.length : i + end;
+    }
+
+    let prefix = false;
+    if (!phrase && text.length > 1 && text.endsWith("*")) {
+      prefix = true;
+      text = text.replace(/\*+$/, "");
+    } else if (phrase && input[i] === "*") {
+      prefix = true;
+      i++;
+    }
+
+    if (hasWords(text)) {
+      terms.push({ text, start, phrase, prefix, exclude, field });
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Compile simple query terms into an FTS5 MATCH expression.
+ * Every term is quoted, so FTS5 syntax in user input is never interpreted.
+ * @param {Array} terms - Terms from parseSimpleQuery
+ * @param {Function} normalize - Text normalization applied to each term
+ * @returns {string} FTS5 query, or an empty string when there is no term to match
+ */
+export function compileSimpleQuery(terms, normalize) {
+  const compile = term => {
+    const quoted = `"${normalize(term.text).replace(/"/g, '""')}"${term.prefix ? "*" : ""}`;
+    return term.field ? `${term.field}_normalized:${quoted}` : quoted;
+  };
+
+  const included = terms.filter(term => !term.exclude).map(compile);
+  if (included.length === 0) return "";
+
+  const excluded = terms.filter(term => term.exclude).map(compile);
+  return [included.join(" "), ...excluded].join(" NOT ");
+}
+
+const LEAF_KINDS = ["term", "phrase", "prefix"];
+const NODE_KEYS = [...LEAF_KINDS, "field", "and", "or", "not", "near"];
+
+/**
+ * Compile a structured query object into an FTS5 MATCH expression.
+ *
+ * Nodes:
+ *   "word"                                  shorthand for { term: "word" }
+ *   { term: "sqlite", field?: "h2" }        word (several words match as a phrase)
+ *   { phrase: "full text", field? }         exact phrase
+ *   { prefix: "draft", field? }             words starting with the prefix
+ *   { and: [node, ...] }                    all nodes; { not: node } items exclude
+ *   { or: [node, ...] }                     any node
+ *   { not: node }                           exclusion, combined with the other keys of the same object
+ *   { near: { terms: [...], distance? }, field? }  terms within `distance` tokens (default 10)
+ * Several keys in one object are combined with AND.
+ *
+ * @param {string|object} query - Query object
+ * @param {Function} normalize - Text normalization applied to each term
+ * @returns {{ expression: string, terms: Array }} FTS5 expression and the terms to highlight, as parseQueryTerms returns them (excluded terms are left out)
+ */
+export function compileQuery(query, normalize) {
+  const terms = [];
+  const expression = compileNode(query, { normalize, terms, negated: false });
+  return { expression, terms };
+}
+
+/**
+ * Compile one query node
+ * @private
+ */
+function compileNode(input, context) {
+  const node = typeof input === "string" ? { term: input } : input;
+  if (!node || typeof node !== "object" || Array.isArray(node)) {
+    throw new InvalidArgumentError(`Invalid query node: ${JSON.stringify(input)}`);
+  }
+
+  const unknown = Object.keys(node).filter(key => !NODE_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new InvalidArgumentError(`Unknown query key "${unknown[0]}"`);
+  }
+
+  const leafKinds = LEAF_KINDS.filter(kind => kind in node);
+  if (leafKinds.length > 0) {
+    if (leafKinds.length > 1 || ["and", "or", "not", "near"].some(key => key in node)) {
+      throw new InvalidArgumentError(`A query node with "${leafKinds[0]}" cannot have other operators`);
+    }
+    return compileLeaf(node, leafKinds[0], context);
+  }
+  if ("field" in node && !("near" in node)) {
+    throw new InvalidArgumentError('"field" only applies to term, phrase, prefix and near nodes');
+  }
+
+  const negated = { ...context, negated: true };
+  const positives = [];
+  const negatives = [];
+
+  if ("and" in node) {
+    for (const item of requireList(node.and, "and")) {
+      const onlyNot = item && typeof item === "object" && Object.keys(item).length === 1 && "not" in item;
+      if (onlyNot) {
+        negatives.push(compileNode(item.not, negated));
+      } else {
+        positives.push(compileNode(item, context));
+      }
+    }
+  }
+  if ("or" in node) {
+    const alternatives = requireList(node.or, "or").map(item => compileNode(item, context));
+    positives.push(alternatives.length > 1 ? `(${alternatives.join(" OR ")})` : alternatives[0]);
+  }
+  if ("near" in node) {
+    positives.push(compileNear(node.near, node.field, context));
+  }
+  if ("not" in node) {
+    negatives.push(compileNode(node.not, negated));
+  }
+
+  if (positives.length === 0) {
+    throw new InvalidArgumentError('"not" must be combined with a condition to match, e.g. { and: ["a", { not: "b" }] }');
+  }
+
+  // NOT binds tighter than AND in FTS5: group the positive side first
+  const expression = positives.length > 1 ? `(${positives.join(" AND ")})` : positives[0];
+  return negatives.length > 0 ? `(${[expression, ...negatives].join(" NOT ")})` : expression;
+}
+
+/**
+ * Compile a term, phrase or prefix node
+ * @private
+ */
+function compileLeaf(node, kind, context) {
+  const text = node[kind];
+  if (typeof text !== "string" || !hasWords(text)) {
+    throw new InvalidArgumentError(`Query ${kind} must be a string with searchable words: ${JSON.stringify(text)}`);
+  }
+  const field = node.field === undefined ? null : requireField(node.field);
+
+  if (!context.negated) {
+    context.terms.push({ text, phrase: kind === "phrase", prefix: kind === "prefix", field });
+  }
+
+  const quoted = `"${context.normalize(text).replace(/"/g, '""')}"${kind === "prefix" ? "*" : ""}`;
+  return field ? `${field}_normalized:${quoted}` : quoted;
+}
+
+/**
+ * Compile a near node
+ * @private
+ */
+function compileNear(near, field, context) {
+  const { terms, distance = 10 } = Array.isArray(near) ? { terms: near } : (near || {});
+  const items = requireList(terms, "near");
+  if (!Number.isInteger(distance) || distance < 0) {
+    throw new InvalidArgumentError(`Near distance must be a non-negative integer: ${JSON.stringify(distance)}`);
+  }
+
+  // The near terms are highlighted together, as a window
+  const group = { ...context, terms: [] };
+  const phrases = items.map(item => {
+    const node = typeof item === "string" ? { term: item } : item;
+    const kind = node && typeof node === "object" ? LEAF_KINDS.find(leaf => leaf in node) : null;
+    if (!kind || "field" in node) {
+      throw new InvalidArgumentError("Near terms must be term, phrase or prefix nodes without a field");
+    }
+    return compileLeaf(node, kind, group);
+  });
+
+  const nearField = field === undefined ? null : requireField(field);
+  if (!context.negated) {
+    context.terms.push({ near: group.terms, distance, field: nearField });
+  }
+
+  const expression = `NEAR(${phrases.join(" ")}, ${distance})`;
+  return nearField ? `${nearField}_normalized:${expression}` : expression;
+}
+
+/**
+ * @private
+ */
+function requireList(value, key) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new InvalidArgumentError(`Query "${key}" must be a non-empty array`);
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function requireField(field) {
+  if (!QUERY_FIELDS.includes(field)) {
+    throw new InvalidArgumentError(`Unknown query field "${field}": use ${QUERY_FIELDS.join(", ")}`);
+  }
+  return field;
+}
+
+/**
+ * Split an FTS5 query into tokens
+ * @private
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '"') {
+      // FTS5 escapes a quote inside a string by doubling it
+      let text = "";
+      let end = i + 1;
+      while (end < input.length && !(input[end] === '"' && input[end + 1] !== '"')) {
+        text += input[end];
+        end += input[end] === '"' ? 2 : 1;
+      }
+      tokens.push({ type: "string", value: text });
+      i = end + 1;
+    } else if ("()+*^:,{}".includes(char)) {
+      tokens.push({ type: char });
+      i++;
+    } else {
+      const word = input.slice(i).match(/^[^\s"()+*^:,{}]+/)[0];
+      tokens.push({ type: "word", value: word });
+      i += word.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an FTS5 query into the terms it searches for, to locate and
+ * highlight matches. Terms on the right side of NOT are left out, phrases
+ * stay together and NEAR groups are returned as one term. Malformed input
+ * never throws: whatever can be recognized is returned.
+ *
+ * Terms:
+ *   { text, phrase, prefix, field }          word or phrase
+ *   { near: [term, ...], distance, field }   NEAR group
+ *
+ * @param {string} query - FTS5 query as given to search()
+ * @param {string[]} fields - Accepted field prefixes (others search every field)
+ * @returns {Array} Terms
+ */
+export function parseQueryTerms(query, fields = QUERY_FIELDS) {
+  const tokens = tokenize(query || "");
+  const terms = [];
+  let i = 0;
+
+  const peek = (offset = 0) => tokens[i + offset];
+  const isOperator = (token, name) => token?.type === "word" && token.value === name;
+  const startsPrimary = (token) => token && (token.type === "string" || token.type === "(" || token.type === "^" ||
+    token.type === "{" || (token.type === "word" && !["AND", "OR", "NOT"].includes(token.value)));
+
+  // "col:", "-col:" or "{col1 col2}:" before a phrase, group or NEAR
+  const parseColumns = () => {
+    let names = null;
+    if (peek()?.type === "word" && peek(1)?.type === ":") {
+      names = [peek().value];
+      i += 2;
+    } else if (peek()?.type === "{") {
+      const close = tokens.findIndex((token, index) => index > i && token.type === "}");
+      if (close !== -1 && tokens[close + 1]?.type === ":") {
+        names = tokens.slice(i + 1, close).filter(token => token.type === "word").map(token => token.value);
+        i = close + 2;
+      }
+    }
+    if (!names) return undefined;
+
+    // Excluded columns ("-title:") or several columns search more than one field
+    const columns = names.map(name => name.toLowerCase().replace(/_normalized$/, ""));
+    return columns.length === 1 && fields.includes(columns[0]) ? columns[0] : null;
+  };
+
+  // One phrase: strings and words joined by "+", optionally ending in "*"
+  const parsePhrase = () => {
+    const parts = [];
+    let prefix = false;
+    while (peek()?.type === "string" || peek()?.type === "word") {
+      parts.push(tokens[i++].value);
+      if (peek()?.type === "*") {
+        prefix = true;
+        i++;
+      }
+      if (peek()?.type !== "+") break;
+      i++;
+    }
+    const text = parts.join(" ");
+    return { text, phrase: parts.length > 1 || /\s/.test(text.trim()), prefix };
+  };
+
+  const parseNear = (field, negated) => {
+    i += 2;
+    const group = [];
+    let distance = 10;
+    while (peek() && peek().type !== ")") {
+      if (peek().type === ",") {
+        i++;
+        if (peek()?.type === "word" && /^\d+$/.test(peek().value)) {
+          distance = Number(tokens[i++].value);
+        }
+      } else if (peek().type === "string" || peek().type === "word") {
+        group.push({ ...parsePhrase(), field: null });
+      } else {
+        i++;
+      }
+    }
+    i++;
+    if (!negated && group.length > 0) {
+      terms.push({ near: group, distance, field: field ?? null });
+    }
+  };
+
+  const parsePrimary = (field, negated) => {
+    const columns = parseColumns();
+    if (columns !== undefined) field = columns;
+    if (peek()?.type === "^") i++;
+
+    const token = peek();
+    if (!token) return;
+    if (token.type === "(") {
+      i++;
+      parseOr(field, negated);
+      if (peek()?.type === ")") i++;
+    } else if (isOperator(token, "NEAR") && peek(1)?.type === "(") {
+      parseNear(field, negated);
+    } else if (token.type === "string" || (token.type === "word" && !["AND", "OR", "NOT"].includes(token.value))) {
+      const term = parsePhrase();
+      if (!negated) {
+        terms.push({ ...term, field: field ?? null });
+      }
+    } else {
+      // Stray punctuation
+      i++;
+    }
+  };
+
+  const parseNot = (field, negated) => {
+    parsePrimary(field, negated);
+    while (isOperator(peek(), "NOT")) {
+      i++;
+      parsePrimary(field, true);
+    }
+  };
+
+  const parseAnd = (field, negated) => {
+    parseNot(field, negated);
+    while (isOperator(peek(), "AND") || startsPrimary(peek())) {
+      if (isOperator(peek(), "AND")) i++;
+      parseNot(field, negated);
+    }
+  };
+
+  const parseOr = (field, negated) => {
+    parseAnd(field, negated);
+    while (isOperator(peek(), "OR")) {
+      i++;
+      parseAnd(field, negated);
+    }
+  };
+
+  while (i < tokens.length) {
+    // Leading operators and unbalanced ")" are skipped
+    const start = i;
+    parseOr(undefined, false);
+    if (i === start) i++;
+  }
+
+  return terms;
+}
+
+/**
+ * Find structural errors in an FTS5 query: unbalanced quotes and
+ * parentheses, unknown field prefixes and operators without operands.
+ * @param {string} query - FTS5 query as given to search()
+ * @param {string[]} fields - Accepted field prefixes
+ * @returns {Array<{ code: string, message: string, position: number }>} Errors (empty when none were found)
+ */
+export function findQueryErrors(query, fields = QUERY_FIELDS) {
+  const errors = [];
+  const input = query || "";
+
+  if (!input.trim()) {
+    return [{ code: "EMPTY_QUERY", message: "Query is empty", position: 0 }];
+  }
+
+  const tokens = [];
+  const openParens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '"') {
+      // FTS5 escapes a quote inside a string by doubling it
+      let end = i + 1;
+      while (end < input.length && !(input[end] === '"' && input[end + 1] !== '"')) {
+        end += input[end] === '"' ? 2 : 1;
+      }
+      if (end >= input.length) {
+        errors.push({ code: "UNTERMINATED_STRING", message: "Unterminated quoted phrase", position: i });
+      }
+      tokens.push({ type: "term", position: i });
+      i = end + 1;
+    } else if (char === "(") {
+      openParens.push(i);
+      tokens.push({ type: "open", position: i });
+      i++;
+    } else if (char === ")") {
+      if (openParens.length === 0) {
+        errors.push({ code: "UNBALANCED_PARENTHESIS", message: 'Unexpected ")"', position: i });
+      } else {
+        openParens.pop();
+      }
+      tokens.push({ type: "close", position: i });
+      i++;
+    } else {
+      const word = input.slice(i).match(/^[^\s"()]+/)[0];
+      const fieldMatch = word.match(/^-?([^:]+):/);
+      const field = fieldMatch ? fieldMatch[1].toLowerCase().replace(/_normalized$/, "") : null;
+      if (field !== null && !fields.includes(field)) {
+        errors.push({ code: "UNKNOWN_FIELD", message: `Unknown field "${fieldMatch[1]}"`, position: i });
+      }
+
+      // FTS5 barewords only allow ASCII letters, digits and "_" (plus any non-ASCII)
+      const bareword = word.slice(fieldMatch ? fieldMatch[0].length : 0)
+        .replace(/^\^/, "")
+        .replace(/\*$/, "")
+        .replace(/,$/, "");
+      if (FTS5_OPERATORS.includes(word)) {
+        tokens.push({ type: "operator", value: word, position: i });
+      } else {
+        if (word !== "+" && /[\x00-\x7F]/.test(bareword.replace(/[A-Za-z0-9_]/g, ""))) {
+          errors.push({ code: "INVALID_TERM", message: `"${word}" is not valid FTS5 syntax, quote it to search it as text`, position: i });
+        }
+        tokens.push({ type: "term", position: i });
+      }
+      i += word.length;
+    }
+  }
+
+  for (const position of openParens) {
+    errors.push({ code: "UNBALANCED_PARENTHESIS", message: 'Missing ")"', position });
+  }
+
+  // Binary operators need an operand on each side
+  tokens.forEach((token, index) => {
+    if (token.type !== "operator" || token.value === "NEAR") return;
+    const before = tokens[index - 1];
+    const after = tokens[index + 1];
+    if (!before || before.type === "operator" || before.type === "open" ||
+        !after || after.type === "operator" || after.type === "close") {
+      errors.push({ code: "MISSING_OPERAND", message: `${token.value} needs a term on each side`, position: token.position });
+    }
+  });
+
+  return errors.sort((a, b) => a.position - b.position);
+}
@@ -3,6 +3,30 @@ import micromatch from "micromatch";
 import fs from "node:fs";
 import path from "node:path";
 
+/**
+ * File extensions that can be indexed by directory scans
+ */
+export const SUPPORTED_EXTENSIONS = ["md", "markdown", "epub", "pdf", "txt", "srt"];
+
+/**
+ * Check if a path relative to a scanned directory matches any exclude pattern.
+ * A pattern also excludes everything below a matching directory.
+ * @param {string} relativePath - Path relative to the scanned directory
+ * @param {string[]} exclude - Patterns to exclude
+ * @returns {boolean} True if the path is excluded
+ */
+export function isExcluded(relativePath, exclude = []) {
+  if (exclude.length === 0) return false;
+
+  const segments = relativePath.split(path.sep);
+  for (let i = 1; i <= segments.length; i++) {
+    if (micromatch.isMatch(segments.slice(0, i).join("/"), exclude)) {
+      return true;
+    }
+  }
+  return false;
+}
+
 /**
  * Scan directory for markdown, epub, pdf, txt and srt files synchronously
  * @param {string} dirPath - Directory path to scan
@@ -26,9 +50,10 @@ export function scanDirectorySync(dirPath, { exclude = ["node_modules", ".git"],
   }
 
   // Build glob pattern
+  const extensions = `{${SUPPORTED_EXTENSIONS.join(",")}}`;
   const pattern = recursive
-    ? `${absolutePath}/**/*.{md,markdown,epub,pdf,txt}`
-    : `${absolutePath}/*.{md,markdown,epub,pdf,txt}`;
+    ? `${absolutePath}/**/*.${extensions}`
+    : `${absolutePath}/*.${extensions}`;
 
   // Find all matching files synchronously
   const files = glob.sync(pattern, {
@@ -43,11 +68,7 @@ export function scanDirectorySync(dirPath, { exclude = ["node_modules", ".git"],
   });
 
   // Additional filtering with micromatch for more complex patterns
-  const filtered = files.filter(file => {
-    const relativePath = path.relative(absolutePath, file);
-    // Check if any exclude pattern matches
-    return !exclude.some(pattern => micromatch.isMatch(relativePath, pattern));
-  });
+  const filtered = files.filter(file => !isExcluded(path.relative(absolutePath, file), exclude));
 
   return filtered;
 }
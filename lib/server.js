@@ -0,0 +1,440 @@
+import http from "node:http";
+import { Snippet } from "./Snippet.js";
+import { InvalidArgumentError, NotFoundError } from "./errors.js";
+
+/**
+ * HTTP error with status code
+ * @private
+ */
+class HttpError extends Error {
+  constructor(status, message, code = null) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Parse a numeric query parameter
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {number|undefined} Parsed number
+ */
+function integerParam(params, name) {
+  const value = params.get(name);
+  if (value === null) return undefined;
+  const number = Number.parseInt(value, 10);
+  if (Number.isNaN(number) || number < 0) {
+    throw new HttpError(400, `Parameter "${name}" must be a non-negative integer`, "INVALID_PARAMETER");
+  }
+  return number;
+}
+
+/**
+ * Parse a number query parameter that may be negative or fractional
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {number|undefined} Parsed number
+ */
+function numberParam(params, name) {
+  const value = params.get(name);
+  if (value === null) return undefined;
+  const number = Number(value);
+  if (value.trim() === "" || !Number.isFinite(number)) {
+    throw new HttpError(400, `Parameter "${name}" must be a number`, "INVALID_PARAMETER");
+  }
+  return number;
+}
+
+/**
+ * Read a list parameter, accepting repeated and comma separated values
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {string[]} Values
+ */
+function listParam(params, name) {
+  return params.getAll(name)
+    .flatMap(value => value.split(","))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a JSON object query parameter
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {object|undefined} Parsed object
+ */
+function jsonParam(params, name) {
+  const value = params.get(name);
+  if (value === null) return undefined;
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new HttpError(400, `Parameter "${name}" must be a JSON object`, "INVALID_PARAMETER");
+}
+
+/**
+ * Read the required document path parameter
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {string} Document path
+ */
+function pathParam(params) {
+  const documentPath = params.get("path");
+  if (!documentPath) {
+    throw new HttpError(400, 'Parameter "path" is required', "MISSING_PARAMETER");
+  }
+  return documentPath;
+}
+
+/**
+ * Decode a percent-encoded path segment captured by a route
+ * @param {string} segment - Encoded segment
+ * @returns {string} Decoded segment
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw new HttpError(400, `Invalid percent-encoding in path: ${segment}`, "INVALID_PARAMETER");
+  }
+}
+
+/**
+ * Read and parse a JSON object request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<object>} Parsed body
+ */
+async function readJSON(req) {
+  let raw = "";
+  for await (const chunk of req) {
+    raw += chunk;
+  }
+  if (!raw) return {};
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch (error) {
+    throw new HttpError(400, "Request body must be valid JSON", "INVALID_JSON");
+  }
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "Request body must be a JSON object", "INVALID_JSON");
+  }
+  return body;
+}
+
+/**
+ * Check whether an error comes from a malformed FTS5 query
+ * @param {Error} error - Error thrown by better-sqlite3
+ * @returns {boolean}
+ */
+function isQueryError(error) {
+  return error.code === "SQLITE_ERROR" &&
+    /fts5|syntax error|no such column|unterminated/i.test(error.message);
+}
+
+/**
+ * Turn an invalid argument error into a 400 response; any other error is
+ * returned unchanged (query syntax errors are answered by the request handler,
+ * everything else is an internal error)
+ * @param {Error} error - Error thrown by SearchMix
+ * @returns {Error} Error to throw
+ */
+function clientError(error) {
+  if (error instanceof InvalidArgumentError) {
+    return new HttpError(400, error.message, "INVALID_PARAMETER");
+  }
+  return error;
+}
+
+/**
+ * Resolve the Access-Control-Allow-Origin value for a request
+ * @param {boolean|string|string[]} cors - CORS configuration
+ * @param {string|undefined} origin - Request origin
+ * @returns {string|null} Allowed origin or null
+ */
+function allowedOrigin(cors, origin) {
+  if (!cors) return null;
+  if (cors === true || cors === "*") return "*";
+  const origins = Array.isArray(cors) ? cors : [cors];
+  return origin && origins.includes(origin) ? origin : null;
+}
+
+/**
+ * Create an HTTP JSON server exposing a SearchMix index
+ *
+ * Routes:
+ *   GET    /search?q=&queryMode=&limit=&offset=&cursor=&pageBy=&groupBy=&sort=&order=&facets=&tags=&tagsAll=&tagsNone=&includeUntagged=&limitSnippets=&snippetLength=&snippetBoundary=&minScore=&weights=&boosts=&dateFrom=&dateTo=&dateField=&suggestBelow=
+ *   GET    /validate?q=&queryMode=
+ *   GET    /suggest?q=&queryMode=&limit=
+ *   GET    /documents?path=
+ *   GET    /documents/search?path=&q=&sectionId=&queryMode=&snippetLength=&snippetBoundary=
+ *   POST   /documents                      { path, tags, update, exclude }
+ *   DELETE /documents?path=  |  ?tag=
+ *   GET    /sections/:id?path=
+ *   GET    /sections/:id/(parent|children|siblings|breadcrumbs)?path=
+ *   GET    /stats?tag=
+ *
+ * @param {SearchMix} searcher - SearchMix instance
+ * @param {object} options - Server options
+ * @param {boolean|string|string[]} options.cors - Allowed origins: true for any (default: false)
+ * @param {boolean} options.readOnly - Reject add/remove requests (default: false)
+ * @returns {http.Server} Server (not yet listening)
+ */
+export function createServer(searcher, { cors = false, readOnly = false } = {}) {
+  const writable = () => {
+    if (readOnly) {
+      throw new HttpError(403, "Server is in read-only mode", "READ_ONLY");
+    }
+  };
+
+  // Invalid search options (e.g. a cursor from another search) are client errors
+  const search = (query, options) => {
+    try {
+      return searcher.search(query, options);
+    } catch (error) {
+      throw clientError(error);
+    }
+  };
+
+  const section = (params, id) => {
+    const documentPath = pathParam(params);
+    const details = searcher.getHeadingById(documentPath, id);
+    if (!details) {
+      throw new HttpError(404, `Section not found: ${id}`, "NOT_FOUND");
+    }
+    // Reuse Snippet navigation for parent/children/siblings/breadcrumbs
+    const snippet = new Snippet({
+      documentPath,
+      sectionId: details.id,
+      parentId: details.parent?.id,
+      childrenIds: (details.children || []).map(child => child.id),
+      contentCount: details.contentCount
+    }, searcher);
+    return { details, snippet };
+  };
+
+  const routes = [
+    ["GET", /^\/search$/, (params) => {
+      const query = params.get("q");
+      if (!query) {
+        throw new HttpError(400, 'Parameter "q" is required', "MISSING_PARAMETER");
+      }
+
+      const options = {};
+      const tags = {
+        any: listParam(params, "tags"),
+        all: listParam(params, "tagsAll"),
+        none: listParam(params, "tagsNone")
+      };
+      if (tags.any.length + tags.all.length + tags.none.length > 0) options.tags = tags;
+      if (params.get("includeUntagged") === "false") options.includeUntagged = false;
+      const facets = listParam(params, "facets");
+      if (facets.length > 0) options.facets = facets;
+      for (const name of ["limit", "offset", "limitSnippets", "snippetLength", "suggestBelow"]) {
+        const value = integerParam(params, name);
+        if (value !== undefined) options[name] = value;
+      }
+      for (const name of ["queryMode", "cursor", "pageBy", "groupBy", "sort", "order", "snippetBoundary"]) {
+        if (params.has(name)) options[name] = params.get(name);
+      }
+      const minScore = numberParam(params, "minScore");
+      if (minScore !== undefined) options.minScore = minScore;
+      if (params.has("dateFrom") || params.has("dateTo")) {
+        options.dateRange = {
+          from: params.get("dateFrom"),
+          to: params.get("dateTo"),
+          field: params.get("dateField") || "mtime"
+        };
+      }
+      for (const name of ["weights", "boosts"]) {
+        const value = jsonParam(params, name);
+        if (value !== undefined) options[name] = value;
+      }
+      if (params.get("snippets") === "false") options.snippets = false;
+
+      const { results, totalCount, totalSnippets, nextCursor, facets: facetCounts, suggestions } = search(query, options);
+      return {
+        results: options.groupBy
+          ? results.map(group => ({ ...group, snippets: group.snippets.map(snippet => snippet.toJSON()) }))
+          : results.map(snippet => snippet.toJSON()),
+        totalCount,
+        totalSnippets,
+        nextCursor,
+        facets: facetCounts,
+        suggestions
+      };
+    }],
+
+    ["GET", /^\/validate$/, (params) => {
+      const options = {};
+      if (params.has("queryMode")) options.queryMode = params.get("queryMode");
+      try {
+        return searcher.validateQuery(params.get("q") || "", options);
+      } catch (error) {
+        throw clientError(error);
+      }
+    }],
+
+    ["GET", /^\/suggest$/, (params) => {
+      const query = params.get("q");
+      if (!query) {
+        throw new HttpError(400, 'Parameter "q" is required', "MISSING_PARAMETER");
+      }
+      const options = {};
+      if (params.has("queryMode")) options.queryMode = params.get("queryMode");
+      const limit = integerParam(params, "limit");
+      if (limit !== undefined) options.limit = limit;
+      try {
+        return { suggestions: searcher.suggest(query, options) };
+      } catch (error) {
+        throw clientError(error);
+      }
+    }],
+
+    ["GET", /^\/documents$/, (params) => {
+      const documentPath = pathParam(params);
+      const options = {};
+      const position = integerParam(params, "position");
+      if (position !== undefined) options.position = position;
+      const length = integerParam(params, "length");
+      if (length !== undefined) options.length = length;
+
+      const doc = searcher.get(documentPath, options);
+      if (!doc) {
+        throw new HttpError(404, `Document not found: ${documentPath}`, "NOT_FOUND");
+      }
+      return doc;
+    }],
+
+    ["GET", /^\/documents\/search$/, (params) => {
+      const documentPath = pathParam(params);
+      const query = params.get("q");
+      if (!query) {
+        throw new HttpError(400, 'Parameter "q" is required', "MISSING_PARAMETER");
+      }
+
+      const options = {};
+      for (const name of ["sectionId", "queryMode", "snippetBoundary"]) {
+        if (params.has(name)) options[name] = params.get(name);
+      }
+      const snippetLength = integerParam(params, "snippetLength");
+      if (snippetLength !== undefined) options.snippetLength = snippetLength;
+
+      let found;
+      try {
+        found = searcher.searchIn(documentPath, query, options);
+      } catch (error) {
+        if (error instanceof NotFoundError) {
+          throw new HttpError(404, error.message, "NOT_FOUND");
+        }
+        throw clientError(error);
+      }
+      if (!found) {
+        throw new HttpError(404, `Document not found: ${documentPath}`, "NOT_FOUND");
+      }
+      return { ...found, results: found.results.map(snippet => snippet.toJSON()) };
+    }],
+
+    ["POST", /^\/documents$/, async (params, req) => {
+      writable();
+      const { path: documentPath, ...options } = await readJSON(req);
+      if (!documentPath) {
+        throw new HttpError(400, 'Field "path" is required', "MISSING_PARAMETER");
+      }
+      if (typeof documentPath !== "string") {
+        throw new HttpError(400, 'Field "path" must be a string', "INVALID_PARAMETER");
+      }
+      try {
+        await searcher.addDocument(documentPath, options);
+      } catch (error) {
+        throw new HttpError(400, error.message, "INVALID_DOCUMENT");
+      }
+      return { added: documentPath, totalDocs: searcher.getStats().totalDocs };
+    }],
+
+    ["DELETE", /^\/documents$/, (params) => {
+      writable();
+      const before = searcher.getStats().totalDocs;
+      if (params.has("path")) {
+        searcher.removeDocument(params.get("path"));
+      } else if (params.has("tag")) {
+        searcher.removeByTag(params.get("tag"));
+      } else {
+        throw new HttpError(400, 'Parameter "path" or "tag" is required', "MISSING_PARAMETER");
+      }
+      return { removed: before - searcher.getStats().totalDocs };
+    }],
+
+    ["GET", /^\/sections\/([^/]+)$/, (params, req, [id]) => section(params, id).details],
+
+    ["GET", /^\/sections\/([^/]+)\/parent$/, (params, req, [id]) => section(params, id).snippet.getParent()],
+
+    ["GET", /^\/sections\/([^/]+)\/children$/, (params, req, [id]) => section(params, id).snippet.getChildren()],
+
+    ["GET", /^\/sections\/([^/]+)\/siblings$/, (params, req, [id]) => section(params, id).snippet.getSiblings()],
+
+    ["GET", /^\/sections\/([^/]+)\/breadcrumbs$/, (params, req, [id]) => section(params, id).snippet.getBreadcrumbs()],
+
+    ["GET", /^\/stats$/, (params) => searcher.getStats({ tag: params.get("tag") || null })]
+  ];
+
+  return http.createServer(async (req, res) => {
+    const headers = { "Content-Type": "application/json; charset=utf-8" };
+    const origin = allowedOrigin(cors, req.headers.origin);
+    if (origin) {
+      headers["Access-Control-Allow-Origin"] = origin;
+      headers["Access-Control-Allow-Methods"] = "GET, POST, DELETE, OPTIONS";
+      headers["Access-Control-Allow-Headers"] = "Content-Type";
+      if (origin !== "*") headers["Vary"] = "Origin";
+    }
+
+    const send = (status, body) => {
+      res.writeHead(status, headers);
+      res.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+
+    if (req.method === "OPTIONS") {
+      send(204);
+      return;
+    }
+
+    try {
+      let url;
+      try {
+        url = new URL(req.url, "http://localhost");
+      } catch (error) {
+        throw new HttpError(400, `Invalid request URL: ${req.url}`, "INVALID_PARAMETER");
+      }
+
+      const pathRoutes = routes.filter(([, pattern]) => pattern.test(url.pathname));
+      if (pathRoutes.length === 0) {
+        throw new HttpError(404, `Route not found: ${url.pathname}`, "NOT_FOUND");
+      }
+
+      const route = pathRoutes.find(([method]) => method === req.method);
+      if (!route) {
+        headers["Allow"] = pathRoutes.map(([method]) => method).join(", ");
+        throw new HttpError(405, `Method not allowed: ${req.method}`, "METHOD_NOT_ALLOWED");
+      }
+
+      const [, pattern, handler] = route;
+      const captures = url.pathname.match(pattern).slice(1).map(decodeSegment);
+      const body = await handler(url.searchParams, req, captures);
+      send(200, body ?? null);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        send(error.status, { error: { message: error.message, code: error.code } });
+      } else if (isQueryError(error)) {
+        send(400, { error: { message: `Invalid search query: ${error.message}`, code: "INVALID_QUERY" } });
+      } else {
+        send(500, { error: { message: error.message, code: "INTERNAL_ERROR" } });
+      }
+    }
+  });
+}
@@ -0,0 +1,165 @@
+/**
+ * Snippet boundaries, from the finest to the coarsest
+ */
+export const SNIPPET_BOUNDARIES = ["word", "sentence", "paragraph", "block"];
+
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+
+/**
+ * Find boundary offsets of a kind inside text[lo, hi)
+ * @param {string} text - Text
+ * @param {string} boundary - "sentence" or "paragraph"
+ * @param {number} lo - Region start
+ * @param {number} hi - Region end
+ * @returns {{ starts: number[], ends: number[] }} Offsets where units start and end
+ */
+function findBoundaries(text, boundary, lo, hi) {
+  const region = text.slice(lo, hi);
+  const starts = lo === 0 ? [0] : [];
+  const ends = hi === text.length ? [text.length] : [];
+
+  // Sentences end at . ! ? (and closing quotes or brackets) or at a line break;
+  // paragraphs at a blank line
+  const separator = boundary === "sentence"
+    ? /([.!?]+["'”’)\]]*)?[ \t]*\n\s*|[.!?]+["'”’)\]]*\s+/g
+    : /\s*\n[ \t]*\n\s*/g;
+
+  for (const match of region.matchAll(separator)) {
+    const punctuation = match[0].match(/^[.!?]+["'”’)\]]*/)?.[0] || "";
+    ends.push(lo + match.index + punctuation.length);
+    starts.push(lo + match.index + match[0].length);
+  }
+  return { starts, ends };
+}
+
+/**
+ * Move the ends of a window to word boundaries, shrinking it, without
+ * cutting the match
+ * @returns {{ start: number, end: number }}
+ */
+function alignToWords(text, start, end, matchStart, matchEnd) {
+  const isWord = index => index >= 0 && index < text.length && WORD_CHAR.test(text[index]);
+
+  if (isWord(start - 1) && isWord(start)) {
+    while (start < matchStart && isWord(start)) start++;
+  }
+  if (isWord(end - 1) && isWord(end)) {
+    while (end > matchEnd && isWord(end - 1)) end--;
+  }
+  return { start, end };
+}
+
+/**
+ * Align a snippet window to natural boundaries of the text. Each side moves
+ * to the nearest unit boundary inside the window, or extends to the start
+ * (or end) of the unit holding the match when that is at most `slack`
+ * characters away. A side with no boundary in reach falls back to the next
+ * finer boundary: block, paragraph, sentence, word.
+ * @param {string} text - Full text (document body or title)
+ * @param {object} window - Window to align
+ * @param {number} window.start - Window start
+ * @param {number} window.end - Window end
+ * @param {number} window.matchStart - Start of the first match in the window
+ * @param {number} window.matchEnd - End of the last match in the window
+ * @param {string} boundary - "word", "sentence", "paragraph" or "block"
+ * @param {object} options
+ * @param {number} options.slack - Maximum characters a side may extend beyond the window
+ * @param {Array<{ start: number, end: number }>} options.blocks - Content block offsets, for "block"
+ * @returns {{ start: number, end: number, cutStart: boolean, cutEnd: boolean }} Aligned window;
+ * cutStart and cutEnd tell whether a side stops inside a unit of text
+ */
+export function alignSnippet(text, { start, end, matchStart, matchEnd }, boundary, { slack = 0, blocks = [] } = {}) {
+  const levels = SNIPPET_BOUNDARIES.slice(1, SNIPPET_BOUNDARIES.indexOf(boundary) + 1).reverse();
+  const lo = Math.max(0, start - slack);
+  const hi = Math.min(text.length, end + slack);
+  let alignedStart = null;
+  let alignedEnd = null;
+
+  for (const level of levels) {
+    const { starts, ends } = level === "block"
+      ? { starts: blocks.map(block => block.start), ends: blocks.map(block => block.end) }
+      : findBoundaries(text, level, lo, hi);
+
+    if (alignedStart === null) {
+      const inside = starts.filter(offset => offset >= start && offset <= matchStart);
+      const before = starts.filter(offset => offset >= lo && offset < start);
+      if (inside.length > 0) alignedStart = Math.min(...inside);
+      else if (before.length > 0) alignedStart = Math.max(...before);
+    }
+    if (alignedEnd === null) {
+      const inside = ends.filter(offset => offset <= end && offset >= matchEnd);
+      const after = ends.filter(offset => offset <= hi && offset > end);
+      if (inside.length > 0) alignedEnd = Math.max(...inside);
+      else if (after.length > 0) alignedEnd = Math.min(...after);
+    }
+  }
+
+  const words = alignToWords(text, start, end, matchStart, matchEnd);
+  return {
+    start: alignedStart ?? words.start,
+    end: alignedEnd ?? words.end,
+    cutStart: alignedStart === null && words.start > 0,
+    cutEnd: alignedEnd === null && words.end < text.length
+  };
+}
+
+/**
+ * Whether an offset of a Markdown text falls inside the destination of a
+ * link or image, e.g. the URL of "[text](url)", which is not shown as text
+ * @param {string} text - Markdown text
+ * @param {number} index - Offset
+ * @returns {boolean}
+ */
+export function isInLinkDestination(text, index) {
+  return /\]\([^)\s]*$/.test(text.slice(Math.max(0, index - 2048), index));
+}
+
+/**
+ * Move a snippet start that falls inside a link destination past its ")"
+ * @param {string} text - Markdown text
+ * @param {number} start - Snippet start
+ * @param {number} limit - Offset the start may not pass (the first match)
+ * @returns {number} Snippet start
+ */
+export function skipLinkDestination(text, start, limit) {
+  if (!isInLinkDestination(text, start)) return start;
+  const close = text.indexOf(")", start);
+  return close === -1 || close >= limit ? start : close + 1;
+}
+
+/**
+ * Strip Markdown syntax from a snippet, including constructs cut in half
+ * by the snippet edges (e.g. the "](url)" of a link that started before it).
+ * Emphasis, strikethrough and code markers are only removed around text
+ * they enclose, so "2 * 3", "a*b" and "__init__" are kept.
+ * @param {string} text - Markdown fragment
+ * @returns {string} Plain text
+ */
+export function stripMarkdown(text) {
+  return text
+    // Block syntax at the start of lines: fences, headings, quotes, list items, rules
+    .replace(/^[ \t]*(?:```|~~~).*$/gm, "")
+    .replace(/^[ \t]*#{1,6}[ \t]+/gm, "")
+    .replace(/^[ \t]*(?:>[ \t]?)+/gm, "")
+    .replace(/^[ \t]*(?:[-*+]|\d+[.)])[ \t]+/gm, "")
+    .replace(/^[ \t]*([-*_])(?:[ \t]*\1){2,}[ \t]*$/gm, "")
+    // Images and links keep their text
+    .replace(/!?\[([^\]\n]*)\]\([^)\n]*\)/g, "$1")
+    .replace(/!?\[([^\]\n]*)\]\[[^\]\n]*\]/g, "$1")
+    .replace(/<((?:https?|mailto):[^>\s]+)>/g, "$1")
+    // Link halves cut by the snippet edges
+    .replace(/^[^[\n]*?\]\([^)\s]*\)?/, match => match.replace(/\]\([^)\s]*\)?$/, ""))
+    .replace(/!?\[([^\]\n]*)\]?\([^)\s]*$/, "$1")
+    .replace(/!?\[([^\]\n]*)$/, "$1")
+    // Inline code, strikethrough and emphasis enclosing text
+    .replace(/(`+)([^`\n]+?)\1(?!`)/g, "$2")
+    .replace(/~~(?=\S)([^\n]*?\S)~~/g, "$1")
+    .replace(/(?<![*\p{L}\p{N}])(\*{1,3})(?=[^\s*])([^\n]*?[^\s*])\1(?!\*)/gu, "$2")
+    .replace(/(?<![_\p{L}\p{N}])_(?=[^\s_])([^\n]*?[^\s_])_(?![_\p{L}\p{N}])/gu, "$1")
+    .replace(/(?<![_\p{L}\p{N}])__(?=[^\s_])([^\n]*?\s[^\n]*?[^\s_])__(?![_\p{L}\p{N}])/gu, "$1")
+    // Emphasis cut by the snippet edges: "sun** and", "and **full"
+    .replace(/^([^\s*]+)\*{1,3}(?=[\s.,;:!?]|$)/, "$1")
+    .replace(/(^|\s)\*{1,3}(?=[^\s*]+$)/, "$1")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
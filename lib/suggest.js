@@ -0,0 +1,118 @@
+import { FTS5_OPERATORS, parseSimpleQuery } from "./query.js";
+
+/**
+ * Maximum edits allowed to correct a word: none up to 2 characters,
+ * 1 up to 5 characters and 2 for longer words
+ * @param {number} length - Word length
+ * @returns {number}
+ */
+export function maxEdits(length) {
+  if (length < 3) return 0;
+  return length <= 5 ? 1 : 2;
+}
+
+/**
+ * Edit distance between two strings: insertions, deletions, substitutions and
+ * transpositions of adjacent characters (optimal string alignment)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Stop once the distance exceeds max (default: Infinity)
+ * @returns {number} Distance, or max + 1 when it exceeds max
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return Math.min(previous[b.length], max + 1);
+}
+
+/**
+ * Upper bound of the terms starting with a prefix, for a term >= prefix AND
+ * term < bound range (the last character incremented)
+ * @param {string} prefix - Non-empty prefix
+ * @returns {string}
+ */
+export function prefixEnd(prefix) {
+  const characters = Array.from(prefix);
+  const last = characters.pop();
+  return characters.join("") + String.fromCodePoint(last.codePointAt(0) + 1);
+}
+
+/**
+ * Prefixes of the indexed terms that may correct a word: terms with its
+ * first letter, terms starting with its second letter (first letter deleted
+ * or swapped) and, for every other first letter, terms continuing with its
+ * first or second letter (first letter inserted or substituted)
+ * @param {string} word - Normalized word
+ * @param {string[]} firstLetters - First letters of the indexed terms
+ * @returns {string[]} Prefixes, each scanned as a range of terms
+ */
+export function candidatePrefixes(word, firstLetters) {
+  const [first, second] = Array.from(word);
+  const prefixes = new Set([first, second]);
+  for (const letter of firstLetters) {
+    if (prefixes.has(letter)) continue;
+    prefixes.add(letter + first).add(letter + second);
+  }
+  return [...prefixes];
+}
+
+/**
+ * Words of a query that may be corrected, with their offsets in the query.
+ * Skips FTS5 operators, column names ("title:", "{title body}:"), prefix
+ * terms ("data*") and numbers. Simple mode queries are read with
+ * parseSimpleQuery, so excluded terms ("-word") are skipped too and unknown
+ * fields ("foo:word") are words like any other.
+ * @param {string} query - Query string
+ * @param {string} queryMode - "fts5" or "simple"
+ * @returns {Array<{ word: string, start: number, end: number }>}
+ */
+export function queryWords(query, queryMode = "fts5") {
+  if (queryMode === "simple") {
+    return parseSimpleQuery(query)
+      .filter(term => !term.exclude && !term.prefix)
+      .flatMap(term => textWords(term.text, term.start));
+  }
+
+  const words = [];
+  for (const { word, start, end } of textWords(query)) {
+    if (FTS5_OPERATORS.includes(word)) continue;
+    if (query[end] === ":" || query[end] === "*") continue;
+    // Column sets: {title body}:
+    if (/\{[^}]*$/.test(query.slice(0, start))) continue;
+    words.push({ word, start, end });
+  }
+  return words;
+}
+
+/**
+ * Words of a text, numbers excepted, with their offsets
+ * @param {string} text - Text
+ * @param {number} offset - Offset of the text in the query (default: 0)
+ * @returns {Array<{ word: string, start: number, end: number }>}
+ */
+function textWords(text, offset = 0) {
+  const words = [];
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (/^\p{N}+$/u.test(match[0])) continue;
+    const start = offset + match.index;
+    words.push({ word: match[0], start, end: start + match[0].length });
+  }
+  return words;
+}
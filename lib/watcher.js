@@ -0,0 +1,161 @@
+import { EventEmitter } from "node:events";
+import fs from "node:fs";
+import path from "node:path";
+import { scanDirectorySync, getFileExtension, isExcluded, SUPPORTED_EXTENSIONS } from "./scanner.js";
+
+/**
+ * Watches a directory tree and keeps a SearchMix index in sync.
+ *
+ * Events:
+ *   - "change" { type: "add" | "update" | "remove", path } for every change applied,
+ *              or { type: "rename", from, path } when a moved file keeps its index entry
+ *   - "error"  Error raised while applying a change
+ */
+export class Watcher extends EventEmitter {
+  /**
+   * Create a watcher (call start() to begin watching)
+   * @param {SearchMix} searcher - SearchMix instance to update
+   * @param {string} dirPath - Directory to watch
+   * @param {object} options - Options
+   * @param {string[]} options.tags - Tags for indexed documents
+   * @param {string[]} options.exclude - Patterns to exclude
+   * @param {boolean} options.recursive - Watch subdirectories
+   * @param {number} options.debounce - Milliseconds to wait for changes to settle
+   */
+  constructor(searcher, dirPath, { tags = [], exclude = [], recursive = true, debounce = 300 } = {}) {
+    super();
+    this.searcher = searcher;
+    this.root = path.resolve(dirPath);
+    this.tags = tags;
+    this.exclude = exclude;
+    this.recursive = recursive;
+    this.debounce = debounce;
+
+    this._watcher = null;
+    this._timer = null;
+    this._pending = new Set();
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Start watching
+   * @returns {Watcher} Returns this for chaining
+   */
+  start() {
+    this._watcher = fs.watch(this.root, { recursive: this.recursive }, (eventType, filename) => {
+      if (!filename) return;
+      const relativePath = filename.toString();
+      if (isExcluded(relativePath, this.exclude)) return;
+
+      this._pending.add(path.join(this.root, relativePath));
+      clearTimeout(this._timer);
+      this._timer = setTimeout(() => this._flush(), this.debounce);
+    });
+
+    this._watcher.on("error", error => this._emitError(error));
+    return this;
+  }
+
+  /**
+   * Stop watching. Changes already being applied are completed.
+   * @returns {Promise<void>} Resolves once pending changes are applied
+   */
+  close() {
+    clearTimeout(this._timer);
+    if (this._watcher) {
+      this._watcher.close();
+      this._watcher = null;
+    }
+    this._pending.clear();
+    return this._queue;
+  }
+
+  /**
+   * Apply pending changes (serialized so batches never overlap)
+   * @private
+   */
+  _flush() {
+    // Existing paths first, so a renamed file is matched with its vanished
+    // original (by content hash) before the original is removed
+    const changed = [...this._pending].sort((a, b) => fs.existsSync(b) - fs.existsSync(a));
+    this._pending.clear();
+
+    this._queue = this._queue.then(async () => {
+      for (const changedPath of changed) {
+        try {
+          await this._apply(changedPath);
+        } catch (error) {
+          this._emitError(error);
+        }
+      }
+    });
+    return this._queue;
+  }
+
+  /**
+   * Apply a change to a single path
+   * @private
+   */
+  async _apply(changedPath) {
+    let stats = null;
+    try {
+      stats = fs.statSync(changedPath);
+    } catch (error) {
+      // Deleted or renamed away
+    }
+
+    if (stats && stats.isDirectory()) {
+      // A directory was created or moved in: index what it contains
+      const files = scanDirectorySync(changedPath, { exclude: this.exclude, recursive: this.recursive })
+        .filter(file => !isExcluded(path.relative(this.root, file), this.exclude));
+      for (const file of files) {
+        await this._indexFile(file);
+      }
+      return;
+    }
+
+    if (stats && stats.isFile()) {
+      if (SUPPORTED_EXTENSIONS.includes(getFileExtension(changedPath))) {
+        await this._indexFile(changedPath);
+      }
+      return;
+    }
+
+    // Path no longer exists: it was a file or a whole directory
+    for (const documentPath of this.searcher._getDocumentPathsUnder(changedPath)) {
+      this.searcher.removeDocument(documentPath);
+      this.emit("change", { type: "remove", path: documentPath });
+    }
+  }
+
+  /**
+   * Index a created or modified file unless its content is already indexed
+   * @private
+   */
+  async _indexFile(filePath) {
+    const exists = this.searcher.hasDocument(filePath);
+    if (exists && !this.searcher._isModified(filePath)) {
+      this.searcher._refreshMtime(filePath);
+      return;
+    }
+
+    const movedFrom = await this.searcher._indexFile(filePath, this.tags);
+    if (movedFrom) {
+      this.emit("change", { type: "rename", from: movedFrom, path: filePath });
+    } else {
+      this.emit("change", { type: exists ? "update" : "add", path: filePath });
+    }
+  }
+
+  /**
+   * Emit an error without crashing when nobody listens
+   * @private
+   */
+  _emitError(error) {
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", error);
+    } else {
+      console.warn(`Watcher error in ${this.root}:`, error.message);
+    }
+  }
+}
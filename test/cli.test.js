@@ -0,0 +1,108 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import path from "node:path";
+import { run } from "../lib/cli.js";
+
+const TEST_DB_PATH = "./test/db/cli-test.db";
+const TEST_DOCS_DIR = "./test/db/cli-docs";
+const TEST_DOC_PATH = path.join(TEST_DOCS_DIR, "guide.md");
+
+/**
+ * Run the CLI and capture its output
+ */
+async function cli(...argv) {
+  let stdout = "";
+  let stderr = "";
+  const code = await run(["--db", TEST_DB_PATH, ...argv], {
+    stdout: { write: (text) => { stdout += text; } },
+    stderr: { write: (text) => { stderr += text; } }
+  });
+  return { code, stdout, stderr };
+}
+
+describe("CLI", () => {
+  before(() => {
+    fs.mkdirSync(TEST_DOCS_DIR, { recursive: true });
+    fs.writeFileSync(TEST_DOC_PATH, `# Cooking Guide
+
+## Pasta
+Boil the pasta in salted water.
+
+### Sauces
+A tomato sauce goes well with pasta.
+
+## Bread
+Bread needs time to rise.
+`);
+  });
+
+  after(() => {
+    fs.rmSync(TEST_DOCS_DIR, { recursive: true, force: true });
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+  });
+
+  it("should print help without a command", async () => {
+    const { code, stdout } = await cli();
+    assert.strictEqual(code, 0);
+    assert.ok(stdout.includes("Usage: searchmix"));
+  });
+
+  it("should fail on unknown commands", async () => {
+    const { code, stderr } = await cli("frobnicate");
+    assert.strictEqual(code, 1);
+    assert.ok(stderr.includes("Unknown command"));
+  });
+
+  it("should index a directory with tags", async () => {
+    await cli("clear");
+    const { code } = await cli("index", TEST_DOCS_DIR, "--tags", "recipes,kitchen");
+    assert.strictEqual(code, 0);
+
+    const { stdout } = await cli("stats", "--json");
+    const stats = JSON.parse(stdout);
+    assert.strictEqual(stats.totalDocs, 1);
+    assert.strictEqual(stats.tags.recipes, 1);
+    assert.strictEqual(stats.tags.kitchen, 1);
+  });
+
+  it("should print readable results with breadcrumbs", async () => {
+    const { code, stdout } = await cli("search", "tomato");
+    assert.strictEqual(code, 0);
+    assert.ok(stdout.includes("Found 1 documents"));
+    assert.ok(stdout.includes("Cooking Guide > Pasta > Sauces"));
+  });
+
+  it("should print JSON and NDJSON results", async () => {
+    const json = JSON.parse((await cli("search", "pasta", "--json")).stdout);
+    assert.strictEqual(json.totalCount, 1);
+    assert.ok(Array.isArray(json.results[0].breadcrumbs));
+
+    const { stdout } = await cli("search", "pasta", "--ndjson", "--snippets", "2");
+    const lines = stdout.trim().split("\n");
+    assert.strictEqual(lines.length, 2);
+    assert.ok(lines.every(line => JSON.parse(line).documentPath));
+  });
+
+  it("should print the outline of a document", async () => {
+    const { stdout } = await cli("outline", TEST_DOC_PATH);
+    assert.ok(stdout.includes("Cooking Guide [s0]"));
+    assert.ok(stdout.includes("    Sauces ["));
+
+    const tree = JSON.parse((await cli("outline", TEST_DOC_PATH, "--json")).stdout);
+    assert.strictEqual(tree[0].children.length, 2);
+  });
+
+  it("should report missing documents", async () => {
+    const { code, stderr } = await cli("get", "./missing.md");
+    assert.strictEqual(code, 1);
+    assert.ok(stderr.includes("Document not found"));
+  });
+
+  it("should remove documents by tag", async () => {
+    const { stdout } = await cli("remove", "--tag", "recipes");
+    assert.ok(stdout.includes("Removed 1 documents"));
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import path from "node:path";
+import { PassThrough } from "node:stream";
+import SearchMix from "../index.js";
+import { createMcpHandler, serveStdio } from "../lib/mcp.js";
+
+const TEST_DB_PATH = "./test/db/mcp-test.db";
+const TEST_DB_DIR = path.dirname(TEST_DB_PATH);
+
+describe("MCP server", () => {
+  let searcher;
+  let handle;
+  let nextId = 1;
+
+  /**
+   * Call a tool and parse its JSON text content
+   */
+  async function callTool(name, args) {
+    const response = await handle({
+      jsonrpc: "2.0",
+      id: nextId++,
+      method: "tools/call",
+      params: { name, arguments: args }
+    });
+    const { content, isError } = response.result;
+    return isError ? { error: content[0].text } : JSON.parse(content[0].text);
+  }
+
+  before(async () => {
+    if (!fs.existsSync(TEST_DB_DIR)) {
+      fs.mkdirSync(TEST_DB_DIR, { recursive: true });
+    }
+
+    searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+    searcher.clear();
+    await searcher.addDocument(Buffer.from(`
+# Garden Handbook
+## Vegetables
+### Tomatoes
+Tomatoes need full sun and regular watering.
+### Lettuce
+Lettuce grows well in partial shade.
+## Flowers
+Roses need pruning in winter.
+`), { tags: ["garden"] });
+
+    handle = createMcpHandler(searcher);
+  });
+
+  after(() => {
+    searcher.close();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+  });
+
+  it("should negotiate initialization", async () => {
+    const response = await handle({
+      jsonrpc: "2.0",
+      id: 0,
+      method: "initialize",
+      params: { protocolVersion: "2024-11-05", capabilities: {}, clientInfo: { name: "test", version: "1" } }
+    });
+    assert.strictEqual(response.result.protocolVersion, "2024-11-05");
+    assert.ok(response.result.capabilities.tools);
+    assert.strictEqual(response.result.serverInfo.name, "searchmix");
+
+    const notification = await handle({ jsonrpc: "2.0", method: "notifications/initialized" });
+    assert.strictEqual(notification, null);
+  });
+
+  it("should list tools", async () => {
+    const response = await handle({ jsonrpc: "2.0", id: 1, method: "tools/list" });
+    const names = response.result.tools.map(tool => tool.name);
+    assert.deepStrictEqual(names, ["search", "read_section", "get_outline", "list_tags"]);
+  });
+
+  it("should search with breadcrumbs and section ids", async () => {
+    const { totalCount, results } = await callTool("search", { query: "tomatoes" });
+    assert.strictEqual(totalCount, 1);
+
+    const hit = results.find(result => result.sectionId);
+    assert.deepStrictEqual(
+      hit.breadcrumbs.map(crumb => crumb.text),
+      ["Garden Handbook", "Vegetables", "Tomatoes"]
+    );
+  });
+
+  it("should navigate the hierarchy step by step", async () => {
+    const { results } = await callTool("search", { query: "lettuce" });
+    const { path: docPath } = results[0];
+
+    const { outline } = await callTool("get_outline", { path: docPath });
+    const vegetables = outline[0].children[0];
+    assert.strictEqual(vegetables.text, "Vegetables");
+
+    const section = await callTool("read_section", { path: docPath, sectionId: vegetables.children[1].id });
+    assert.ok(section.text.includes("partial shade"));
+    assert.strictEqual(section.parent.id, vegetables.id);
+
+    const missing = await callTool("read_section", { path: docPath, sectionId: "s999" });
+    assert.ok(missing.error.includes("Section not found"));
+  });
+
+  it("should list tags", async () => {
+    const stats = await callTool("list_tags", {});
+    assert.strictEqual(stats.tags.garden, 1);
+  });
+
+  it("should report unknown methods", async () => {
+    const response = await handle({ jsonrpc: "2.0", id: 9, method: "resources/list" });
+    assert.strictEqual(response.error.code, -32601);
+  });
+
+  it("should speak newline-delimited JSON-RPC on stdio", async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let written = "";
+    output.on("data", chunk => { written += chunk; });
+
+    const done = serveStdio(searcher, { input, output });
+    input.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n');
+    input.write("not json\n");
+    input.end();
+    await done;
+
+    const [pong, parseError] = written.trim().split("\n").map(line => JSON.parse(line));
+    assert.deepStrictEqual(pong, { jsonrpc: "2.0", id: 1, result: {} });
+    assert.strictEqual(parseError.error.code, -32700);
+  });
+});
@@ -3,6 +3,7 @@ import assert from "node:assert";
 import fs from "node:fs";
 import path from "node:path";
 import SearchMix from "../index.js";
+import { stripMarkdown } from "../lib/snippet-text.js";
 
 const TEST_DB_PATH = "./test/db/test.db";
 const TEST_DB_DIR = path.dirname(TEST_DB_PATH);
@@ -263,6 +264,97 @@ París es la capital de Francia.
       const stats = searcher.getStats();
       assert.strictEqual(stats.tags.docs, undefined);
     });
+
+    it("should combine all, any and none tag filters", async () => {
+      searcher.clear();
+
+      await searcher.addDocument(Buffer.from("# Alpha\nShared keyword."), { tags: ["work", "urgent"] });
+      await searcher.addDocument(Buffer.from("# Beta\nShared keyword."), { tags: ["work"] });
+      await searcher.addDocument(Buffer.from("# Gamma\nShared keyword."), { tags: ["home", "urgent"] });
+      await searcher.addDocument(Buffer.from("# Delta\nShared keyword."), { tags: [] });
+
+      const titles = (options) => searcher.search("keyword", { limitSnippets: 1, ...options }).results
+        .map(snippet => snippet.documentTitle)
+        .sort();
+
+      assert.deepStrictEqual(titles({ tags: { all: ["work", "urgent"] } }), ["Alpha", "Delta"]);
+      assert.deepStrictEqual(titles({ tags: { any: ["home", "urgent"] }, includeUntagged: false }), ["Alpha", "Gamma"]);
+      assert.deepStrictEqual(titles({ tags: { any: ["work"], none: ["urgent"] } }), ["Beta", "Delta"]);
+      assert.deepStrictEqual(titles({ tags: { none: ["work"] } }), ["Delta", "Gamma"]);
+      assert.deepStrictEqual(titles({ includeUntagged: false }), ["Alpha", "Beta", "Gamma"]);
+    });
+
+    it("should treat tags literally", async () => {
+      searcher.clear();
+
+      await searcher.addDocument(Buffer.from("# Percent\nLiteral tag."), { tags: ["100%"] });
+      await searcher.addDocument(Buffer.from("# Other\nLiteral tag."), { tags: ["1000"] });
+
+      assert.strictEqual(searcher.getStats({ tag: "10%" }).totalDocs, 0);
+      assert.strictEqual(searcher.getStats({ tag: "100%" }).totalDocs, 1);
+      searcher.removeByTag("%");
+      assert.strictEqual(searcher.getStats().totalDocs, 2);
+    });
+
+    it("should reject unknown tag operators", () => {
+      assert.throws(() => searcher.search("literal", { tags: { some: ["x"] } }), /Unknown tags operator/);
+    });
+  });
+
+  describe("Tag management", () => {
+    const spanish = "El río fluye por la montaña y los árboles crecen junto al agua. Los pájaros cantan en la mañana mientras el sol ilumina el valle.";
+    let spanishPath;
+    let notePath;
+
+    before(async () => {
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+
+      await searcher.addDocument(Buffer.from(`# Río\n${spanish}`), { tags: ["draft"] });
+      await searcher.addDocument(Buffer.from("# Note\nShort note."), { tags: ["draft", "todo"] });
+      spanishPath = searcher.search("rio").results[0].documentPath;
+      notePath = searcher.search("note").results[0].documentPath;
+    });
+
+    it("should add and remove tags in place", () => {
+      assert.deepStrictEqual(searcher.addTags(spanishPath, ["travel", "draft"]), [spanishPath]);
+      assert.deepStrictEqual(searcher.getTags(spanishPath), ["draft", "travel", "spa"]);
+      assert.strictEqual(searcher.search("rio", { tags: "travel", includeUntagged: false }).totalCount, 1);
+
+      assert.deepStrictEqual(searcher.removeTags(spanishPath, ["draft", "spa"]), [spanishPath]);
+      assert.deepStrictEqual(searcher.getTags(spanishPath), ["travel", "spa"]);
+    });
+
+    it("should match documents by glob pattern", () => {
+      assert.deepStrictEqual(searcher.addTags("buffer://*", "shared").sort(), [spanishPath, notePath].sort());
+      assert.deepStrictEqual(searcher.addTags("buffer://*", "shared"), []);
+    });
+
+    it("should rename and merge tags", () => {
+      assert.deepStrictEqual(searcher.renameTag("todo", "later"), [notePath]);
+      assert.deepStrictEqual(searcher.getTags(notePath), ["draft", "later", "shared"]);
+
+      searcher.mergeTags(["draft", "later", "travel"], "backlog");
+      assert.deepStrictEqual(searcher.getTags(notePath), ["backlog", "shared"]);
+      assert.deepStrictEqual(searcher.getTags(spanishPath), ["backlog", "shared", "spa"]);
+      assert.strictEqual(searcher.getStats({ tag: "draft" }).totalDocs, 0);
+    });
+
+    it("should list user tags apart from language tags", () => {
+      assert.deepStrictEqual(searcher.listTags(), {
+        tags: { backlog: 2, shared: 2 },
+        languages: { spa: 1 }
+      });
+    });
+
+    it("should reject empty tags and targets", () => {
+      const invalid = { name: "InvalidArgumentError", code: "INVALID_ARGUMENT" };
+      assert.throws(() => searcher.addTags(notePath, []), { ...invalid, message: /non-empty strings/ });
+      assert.throws(() => searcher.removeTags(notePath, [""]), invalid);
+      assert.throws(() => searcher.renameTag("backlog", " "), { ...invalid, message: /non-empty strings/ });
+      assert.throws(() => searcher.mergeTags([], "shared"), invalid);
+      assert.throws(() => searcher.addTags(42, ["x"]), { ...invalid, message: /path or glob pattern/ });
+    });
   });
 
   describe("Snippet navigation", () => {
@@ -397,4 +489,1169 @@ And one more time search appears here.
       assert.ok(results.totalCount > 0);
     });
   });
+
+  describe("Pruning", () => {
+    const docsDir = path.resolve("./test/db/prune-docs");
+    const keep = path.join(docsDir, "keep.md");
+    const gone = path.join(docsDir, "sub", "gone.md");
+
+    before(async () => {
+      fs.mkdirSync(path.join(docsDir, "sub"), { recursive: true });
+      fs.writeFileSync(keep, "# Keep\nThis file stays on disk.");
+      fs.writeFileSync(gone, "# Gone\nThis file will be deleted.");
+
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+      await searcher.addDocument(docsDir);
+      await searcher.addDocument(Buffer.from("# Virtual\nBuffers have no file on disk."));
+    });
+
+    after(() => {
+      fs.rmSync(docsDir, { recursive: true, force: true });
+    });
+
+    it("should remove documents deleted from disk under a root", () => {
+      fs.unlinkSync(gone);
+      const removed = searcher.prune({ root: docsDir });
+
+      assert.deepStrictEqual(removed, [gone]);
+      assert.strictEqual(searcher.hasDocument(gone), false);
+      assert.strictEqual(searcher.hasDocument(keep), true);
+      assert.strictEqual(searcher.getStats().totalDocs, 2);
+    });
+
+    it("should prune while re-adding a directory", async () => {
+      const moved = path.join(docsDir, "moved.md");
+      fs.renameSync(keep, moved);
+
+      await searcher.addDocument(docsDir, { prune: true });
+
+      assert.strictEqual(searcher.hasDocument(keep), false);
+      assert.strictEqual(searcher.hasDocument(moved), true);
+    });
+
+    it("should leave buffer documents alone", () => {
+      fs.rmSync(docsDir, { recursive: true, force: true });
+      const removed = searcher.prune();
+
+      assert.strictEqual(removed.length, 1);
+      assert.strictEqual(searcher.getStats().totalDocs, 1);
+      assert.strictEqual(searcher.search("virtual").totalCount, 1);
+    });
+  });
+
+  describe("Change detection", () => {
+    const docsDir = path.resolve("./test/db/hash-docs");
+    const file = path.join(docsDir, "note.md");
+    let conversions;
+
+    before(async () => {
+      fs.mkdirSync(docsDir, { recursive: true });
+      fs.writeFileSync(file, "# Note\nThe original text about lemons.");
+
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+      await searcher.addDocument(docsDir);
+
+      // Count conversions to tell reindexing apart from metadata-only updates
+      conversions = 0;
+      const indexMarkdown = searcher._indexMarkdown.bind(searcher);
+      searcher._indexMarkdown = (...args) => {
+        conversions++;
+        return indexMarkdown(...args);
+      };
+    });
+
+    after(() => {
+      fs.rmSync(docsDir, { recursive: true, force: true });
+    });
+
+    it("should skip files whose bytes did not change", async () => {
+      const future = new Date(Date.now() + 60000);
+      fs.utimesSync(file, future, future);
+
+      await searcher.addDocument(docsDir);
+      await searcher.addDocument(file);
+
+      assert.strictEqual(conversions, 0);
+      assert.strictEqual(searcher._getDocumentMtime(file), fs.statSync(file).mtimeMs);
+    });
+
+    it("should reindex edits made within the same second", async () => {
+      const { mtime } = fs.statSync(file);
+      fs.writeFileSync(file, "# Note\nThe edited text about limes.");
+      fs.utimesSync(file, mtime, new Date(mtime.getTime() + 10));
+
+      await searcher.addDocument(file);
+
+      assert.strictEqual(conversions, 1);
+      assert.strictEqual(searcher.search("limes").totalCount, 1);
+    });
+
+    it("should update the path of moved files without converting them", async () => {
+      const moved = path.join(docsDir, "moved.md");
+      fs.renameSync(file, moved);
+
+      await searcher.addDocument(docsDir);
+
+      assert.strictEqual(conversions, 1);
+      assert.strictEqual(searcher.hasDocument(file), false);
+      assert.strictEqual(searcher.search("limes").results[0].documentPath, moved);
+    });
+
+    it("should apply the tags given for the new path of a moved file", async () => {
+      const archiveDir = path.join(docsDir, "archive");
+      const archived = path.join(archiveDir, "moved.md");
+      fs.mkdirSync(archiveDir);
+      fs.renameSync(path.join(docsDir, "moved.md"), archived);
+
+      await searcher.addDocument(archiveDir, { tags: ["archive"] });
+
+      assert.strictEqual(conversions, 2);
+      assert.strictEqual(searcher.hasDocument(path.join(docsDir, "moved.md")), false);
+      assert.deepStrictEqual(searcher.getTags(archived), ["archive"]);
+    });
+
+    it("should check for changes without writing to the index", () => {
+      const archived = path.join(docsDir, "archive", "moved.md");
+      const stored = searcher._getDocumentMtime(archived);
+      const future = new Date(Date.now() + 120000);
+      fs.utimesSync(archived, future, future);
+
+      assert.strictEqual(searcher._isModified(archived), false);
+      assert.strictEqual(searcher._getDocumentMtime(archived), stored);
+    });
+  });
+
+  describe("Front matter metadata", () => {
+    before(async () => {
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+
+      await searcher.addDocument(Buffer.from(`---
+title: "Old Report"
+author: "Ada"
+date: 2019-06-01
+type: pdf
+pages: 12
+---
+
+# Old Report
+Quarterly numbers for the archive.
+`));
+      await searcher.addDocument(Buffer.from(`---
+title: "New Report"
+author: "Grace"
+date: 2021-03-15
+type: epub
+keywords: [finance, archive]
+---
+
+# New Report
+Yearly numbers for the archive.
+`));
+    });
+
+    it("should parse front matter into metadata", () => {
+      const { results } = searcher.search("quarterly");
+      assert.deepStrictEqual(results[0].metadata, {
+        title: "Old Report",
+        author: "Ada",
+        date: "2019-06-01",
+        type: "pdf",
+        pages: 12
+      });
+      assert.strictEqual(results[0].toJSON().metadata.author, "Ada");
+
+      const doc = searcher.get(results[0].documentPath);
+      assert.strictEqual(doc.metadata.type, "pdf");
+    });
+
+    it("should strip front matter from the indexed body", () => {
+      assert.strictEqual(searcher.search("ada").totalCount, 0);
+      const doc = searcher.get(searcher.search("yearly").results[0].documentPath);
+      assert.ok(doc.body.startsWith("# New Report"));
+    });
+
+    it("should filter search by metadata", () => {
+      assert.strictEqual(searcher.search("archive", { metadata: { author: "Grace" } }).totalCount, 1);
+      assert.strictEqual(searcher.search("archive", { metadata: { type: "pdf", pages: { gte: 10 } } }).totalCount, 1);
+      assert.strictEqual(searcher.search("archive", { metadata: { date: { gte: "2020-01-01" } } }).results[0].metadata.author, "Grace");
+      assert.strictEqual(searcher.search("archive", { metadata: { keywords: "finance" } }).totalCount, 1);
+      assert.strictEqual(searcher.search("archive", { metadata: { type: { in: ["pdf", "epub"] } } }).totalCount, 2);
+      assert.strictEqual(searcher.search("archive", { metadata: { pages: { exists: false } } }).totalCount, 1);
+    });
+
+    it("should reject unknown metadata operators", () => {
+      assert.throws(() => searcher.search("archive", { metadata: { date: { after: "2020" } } }), /Unknown metadata operator/);
+    });
+  });
+
+  describe("Schema migration", () => {
+    const legacyDbPath = "./test/db/legacy.db";
+
+    after(() => {
+      if (fs.existsSync(legacyDbPath)) {
+        fs.unlinkSync(legacyDbPath);
+      }
+    });
+
+    it("should add new columns to databases created by older versions", async () => {
+      // Simulate a database created before the metadata column existed
+      const legacy = new SearchMix({ dbPath: legacyDbPath });
+      legacy.db.exec(`
+        DROP TABLE docs_tags;
+        DROP TABLE docs_fts;
+        CREATE VIRTUAL TABLE docs_fts USING fts5(
+          path UNINDEXED, title UNINDEXED, h1 UNINDEXED, h2 UNINDEXED, h3 UNINDEXED, h4 UNINDEXED,
+          h5 UNINDEXED, h6 UNINDEXED, body UNINDEXED, title_normalized, h1_normalized, h2_normalized,
+          h3_normalized, h4_normalized, h5_normalized, h6_normalized, body_normalized,
+          collection UNINDEXED, structure UNINDEXED, sections_index UNINDEXED, mtime UNINDEXED
+        );
+        INSERT INTO docs_fts (path, title, h2, body, title_normalized, h2_normalized, body_normalized, collection)
+        VALUES ('buffer://legacy', 'Legacy', 'Archive', 'Legacy body', 'legacy', 'archive', 'legacy body', '["old"]');
+      `);
+      legacy.close();
+
+      const migrated = new SearchMix({ dbPath: legacyDbPath });
+      const { results, totalCount } = migrated.search("legacy");
+      assert.strictEqual(totalCount, 1);
+      assert.deepStrictEqual(results[0].tags, ["old"]);
+      assert.deepStrictEqual(results[0].metadata, {});
+      assert.strictEqual(migrated.getStats().tags.old, 1);
+      assert.strictEqual(migrated.search("legacy", { tags: "old", includeUntagged: false }).totalCount, 1);
+      assert.strictEqual(migrated.search("headings:archive").totalCount, 1);
+      migrated.close();
+    });
+
+    it("should reparse files indexed before front matter became metadata", async () => {
+      const notePath = path.resolve("./test/db/legacy-note.md");
+      fs.writeFileSync(notePath, "---\nauthor: Ada\n---\n# Legacy note\nAnalytical engine.");
+      const mtime = fs.statSync(notePath).mtimeMs;
+
+      const legacy = new SearchMix({ dbPath: legacyDbPath });
+      legacy.clear();
+      legacy.db.exec(`
+        DROP TABLE docs_fts;
+        CREATE VIRTUAL TABLE docs_fts USING fts5(
+          path UNINDEXED, title UNINDEXED, h1 UNINDEXED, h2 UNINDEXED, h3 UNINDEXED, h4 UNINDEXED,
+          h5 UNINDEXED, h6 UNINDEXED, body UNINDEXED, title_normalized, h1_normalized, h2_normalized,
+          h3_normalized, h4_normalized, h5_normalized, h6_normalized, body_normalized,
+          collection UNINDEXED, structure UNINDEXED, sections_index UNINDEXED, mtime UNINDEXED
+        );
+      `);
+      legacy.db.prepare(`
+        INSERT INTO docs_fts (path, title, body, title_normalized, body_normalized, collection, mtime)
+        VALUES (?, 'Legacy note', 'author: Ada Analytical engine.', 'legacy note', 'author ada analytical engine', '[]', ?)
+      `).run(notePath, mtime);
+      legacy.close();
+
+      const migrated = new SearchMix({ dbPath: legacyDbPath });
+      try {
+        await migrated.addDocument(notePath);
+        const { results } = migrated.search("engine", { metadata: { author: "Ada" } });
+        assert.strictEqual(results.length, 1);
+        assert.deepStrictEqual(results[0].metadata, { author: "Ada" });
+      } finally {
+        migrated.close();
+        fs.unlinkSync(notePath);
+      }
+    });
+
+    it("should backfill the language of documents indexed before it was stored", async () => {
+      const body = "The spacecraft reached orbit after a long journey. Engineers watched the telemetry and celebrated the landing on the red planet.";
+      const legacy = new SearchMix({ dbPath: legacyDbPath });
+      legacy.clear();
+      await legacy.addDocument(Buffer.from(`# Mission\n${body}`), { tags: ["space"] });
+      const language = legacy.db.prepare(`SELECT language FROM docs_fts`).get().language;
+      assert.ok(language);
+      // Simulate a database created before the language column existed
+      legacy.db.exec(`
+        CREATE VIRTUAL TABLE docs_fts_new USING fts5(
+          path UNINDEXED, title UNINDEXED, h1 UNINDEXED, h2 UNINDEXED, h3 UNINDEXED, h4 UNINDEXED,
+          h5 UNINDEXED, h6 UNINDEXED, body UNINDEXED, title_normalized, h1_normalized, h2_normalized,
+          h3_normalized, h4_normalized, h5_normalized, h6_normalized, body_normalized,
+          collection UNINDEXED, structure UNINDEXED, sections_index UNINDEXED, mtime UNINDEXED, metadata UNINDEXED
+        );
+        INSERT INTO docs_fts_new SELECT path, title, h1, h2, h3, h4, h5, h6, body, title_normalized, h1_normalized,
+          h2_normalized, h3_normalized, h4_normalized, h5_normalized, h6_normalized, body_normalized,
+          collection, structure, sections_index, mtime, metadata FROM docs_fts;
+        DROP TABLE docs_fts;
+        ALTER TABLE docs_fts_new RENAME TO docs_fts;
+      `);
+      legacy.close();
+
+      const migrated = new SearchMix({ dbPath: legacyDbPath });
+      assert.deepStrictEqual(migrated.listTags(), { tags: { space: 1 }, languages: { [language]: 1 } });
+      assert.deepStrictEqual(migrated.search("spacecraft", { facets: ["language"] }).facets, { language: { [language]: 1 } });
+
+      // The language tag is not a user tag, so it is not renamed
+      assert.deepStrictEqual(migrated.renameTag(language, "english"), []);
+      assert.deepStrictEqual(migrated.search("spacecraft").results[0].tags, ["space", language]);
+      migrated.close();
+    });
+  });
+
+  describe("Front matter tags and title", () => {
+    const note = `---
+title: "Weekly Review"
+tags: [work, "#planning"]
+---
+
+# Review notes
+Shipped the importer. Follow up on #budget and #1 priority items.
+`;
+
+    it("should ignore front matter tags and title by default", async () => {
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+      await searcher.addDocument(Buffer.from(note), { tags: ["notes"] });
+
+      const [snippet] = searcher.search("importer").results;
+      assert.strictEqual(snippet.documentTitle, "Review notes");
+      assert.deepStrictEqual(snippet.tags, ["notes"]);
+    });
+
+    it("should promote front matter tags, hashtags and title when enabled", async () => {
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH, promoteFrontMatter: true });
+      searcher.clear();
+      await searcher.addDocument(Buffer.from(note), { tags: ["notes"] });
+
+      const [snippet] = searcher.search("importer").results;
+      assert.strictEqual(snippet.documentTitle, "Weekly Review");
+      assert.deepStrictEqual(snippet.tags, ["notes", "work", "planning", "budget"]);
+
+      assert.strictEqual(searcher.search("importer", { tags: "planning" }).totalCount, 1);
+      assert.strictEqual(searcher.getStats().tags.budget, 1);
+      assert.strictEqual(searcher.search("title:weekly").totalCount, 1);
+      assert.strictEqual(searcher.search("h1:review").totalCount, 1);
+    });
+
+    it("should not take hashtags from code", async () => {
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH, promoteFrontMatter: true, includeCodeBlocks: true });
+      searcher.clear();
+      await searcher.addDocument(Buffer.from(`# Header guards
+Guard the header with \`#ifndef\` and \`#define\`, see #cpp.
+
+\`\`\`c
+#include <stdio.h>
+\`\`\`
+`));
+
+      assert.strictEqual(searcher.search("stdio").totalCount, 1);
+      const { tags } = searcher.search("guard").results[0];
+      assert.ok(tags.includes("cpp"));
+      assert.ok(!tags.includes("ifndef") && !tags.includes("define") && !tags.includes("include"));
+    });
+  });
+
+  describe("Pagination", () => {
+    before(async () => {
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+
+      for (let i = 1; i <= 5; i++) {
+        await searcher.addDocument(Buffer.from(
+          `# Page ${i}\nThe river flows here.\n\nAnother river bend.\n\nA third river crossing.`
+        ));
+      }
+    });
+
+    it("should page documents with offset", () => {
+      const first = searcher.search("river", { limit: 2, limitSnippets: 1 });
+      const second = searcher.search("river", { limit: 2, offset: 2, limitSnippets: 1 });
+      const all = searcher.search("river", { limit: 10, limitSnippets: 1 });
+
+      assert.strictEqual(first.totalCount, 5);
+      assert.strictEqual(second.totalCount, 5);
+      assert.deepStrictEqual(
+        [...first.results, ...second.results].map(s => s.documentPath),
+        all.results.slice(0, 4).map(s => s.documentPath)
+      );
+    });
+
+    it("should follow document cursors until the last page", () => {
+      const seen = [];
+      let cursor = null;
+      let pages = 0;
+
+      do {
+        const page = searcher.search("river", { limit: 2, limitSnippets: 1, cursor });
+        seen.push(...page.results.map(s => s.documentPath));
+        cursor = page.nextCursor;
+        pages++;
+      } while (cursor);
+
+      assert.strictEqual(pages, 3);
+      assert.strictEqual(new Set(seen).size, 5);
+    });
+
+    it("should page snippets across documents", () => {
+      const all = searcher.search("river", { limit: 10, limitSnippets: 3 }).results;
+      const seen = [];
+      let cursor = null;
+
+      do {
+        const page = searcher.search("river", { pageBy: "snippet", limit: 4, limitSnippets: 3, cursor });
+        assert.ok(page.results.length <= 4);
+        assert.strictEqual(page.totalCount, 5);
+        seen.push(...page.results);
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      assert.strictEqual(seen.length, all.length);
+      assert.deepStrictEqual(
+        seen.map(s => `${s.documentPath}@${s.position}`),
+        all.map(s => `${s.documentPath}@${s.position}`)
+      );
+    });
+
+    it("should not skip or repeat documents when the index changes between pages", async () => {
+      const all = searcher.search("river", { sort: "path", limit: 10, limitSnippets: 1 }).results.map(s => s.documentPath);
+      const first = searcher.search("river", { sort: "path", limit: 2, limitSnippets: 1 });
+      assert.deepStrictEqual(first.results.map(s => s.documentPath), all.slice(0, 2));
+
+      searcher.removeDocument(all[0]);
+      const second = searcher.search("river", { sort: "path", limit: 2, limitSnippets: 1, cursor: first.nextCursor });
+      assert.deepStrictEqual(second.results.map(s => s.documentPath), all.slice(2, 4));
+
+      await searcher.addDocument(Buffer.from(`# Page 0\nThe river starts here.`));
+      const third = searcher.search("river", { sort: "path", limit: 2, limitSnippets: 1, cursor: second.nextCursor });
+      assert.deepStrictEqual(third.results.map(s => s.documentPath).filter(path => all.includes(path)), all.slice(4));
+    });
+
+    it("should reject cursors from another search", () => {
+      const { nextCursor } = searcher.search("river", { limit: 1 });
+      assert.throws(() => searcher.search("bend", { limit: 1, cursor: nextCursor }), /Cursor does not belong/);
+      assert.throws(() => searcher.search("river", { cursor: "garbage" }), /Invalid cursor/);
+    });
+  });
+
+  describe("Grouped results", () => {
+    before(async () => {
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+
+      await searcher.addDocument(Buffer.from(
+        `---\nauthor: Ana\n---\n# Lakes\nThe lake is cold. A lake in winter. Every lake freezes.`
+      ), { tags: ["nature"] });
+      await searcher.addDocument(Buffer.from(`# Cities\nA city by the lake.`));
+    });
+
+    it("should return one entry per document with nested snippets", () => {
+      const { results, totalSnippets } = searcher.search("lake", { groupBy: "document" });
+
+      assert.strictEqual(results.length, 2);
+      for (const group of results) {
+        assert.ok(group.document.path);
+        assert.ok(group.document.title);
+        assert.strictEqual(typeof group.document.rank, "number");
+        assert.ok(group.snippets.every(snippet => snippet.documentPath === group.document.path));
+      }
+      assert.strictEqual(totalSnippets, results.reduce((sum, group) => sum + group.snippets.length, 0));
+
+      const lakes = results.find(group => group.document.title === "Lakes");
+      assert.deepStrictEqual(lakes.document.tags, ["nature"]);
+      assert.deepStrictEqual(lakes.document.metadata, { author: "Ana" });
+    });
+
+    it("should report the total match count when snippets are limited", () => {
+      const { results } = searcher.search("lake", { groupBy: "document", limitSnippets: 1 });
+      const lakes = results.find(group => group.document.title === "Lakes");
+
+      assert.strictEqual(lakes.snippets.length, 1);
+      assert.strictEqual(lakes.matchCount, 3);
+    });
+
+    it("should keep groups when snippets are disabled", () => {
+      const { results } = searcher.search("lake", { groupBy: "document", snippets: false });
+      assert.strictEqual(results.length, 2);
+      assert.ok(results.every(group => group.snippets.length === 0 && group.matchCount > 0));
+    });
+
+    it("should reject unknown groupBy values", () => {
+      assert.throws(() => searcher.search("lake", { groupBy: "tag" }), /Invalid groupBy/);
+    });
+  });
+
+  describe("Headings field", () => {
+    before(async () => {
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH, weights: { title: 10.0, body: 1.0 } });
+      searcher.clear();
+
+      await searcher.addDocument(Buffer.from("# Atlas\n## Mediterráneo\nNotes.\n### Islands\nThe Mediterráneo has many islands."));
+      await searcher.addDocument(Buffer.from("# Journal\nA trip across the Mediterráneo."));
+    });
+
+    it("should keep default weights for fields missing from custom weights", () => {
+      assert.strictEqual(searcher.weights.title, 10.0);
+      assert.strictEqual(searcher.weights.h2, 7.0);
+      assert.strictEqual(searcher.weights.headings, 0);
+    });
+
+    it("should search every heading level with headings:", () => {
+      const { results, totalCount } = searcher.search("headings:mediterraneo");
+      assert.strictEqual(totalCount, 1);
+      assert.strictEqual(results[0].documentTitle, "Atlas");
+      assert.strictEqual(searcher.search("headings:islands").totalCount, 1);
+    });
+
+    it("should return navigable heading snippets only", () => {
+      const { results } = searcher.search("headings:mediterraneo");
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(results[0].section, "h2");
+      assert.strictEqual(results[0].heading.text, "Mediterráneo");
+      assert.ok(results[0].sectionId);
+    });
+
+    it("should support headings in simple and structured queries", () => {
+      assert.strictEqual(searcher.search("headings:islands", { queryMode: "simple" }).totalCount, 1);
+      assert.strictEqual(searcher.search({ term: "mediterraneo", field: "headings" }).totalCount, 1);
+    });
+
+    it("should rank with the headings weight", () => {
+      const rank = (weights) => {
+        const weighted = new SearchMix({ dbPath: TEST_DB_PATH, weights });
+        const { results } = weighted.search("headings:mediterraneo");
+        weighted.close();
+        return results[0].rank;
+      };
+      assert.ok(rank({ headings: 4.0 }) < rank({ headings: 1.0 }));
+      assert.ok(rank({}) < 0);
+    });
+
+    it("should not add the headings column to the rank of unscoped queries", () => {
+      const plain = searcher.search("mediterraneo").results[0].rank;
+      const weighted = searcher.search("mediterraneo", { weights: { headings: 0 } }).results[0].rank;
+      assert.strictEqual(plain, weighted);
+      assert.ok(searcher.search("mediterraneo", { weights: { headings: 2.0 } }).results[0].rank < plain);
+    });
+  });
+
+  describe("Simple query mode", () => {
+    before(async () => {
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+
+      await searcher.addDocument(Buffer.from("# C++ Guide\nWriting C++ code for the first draft."));
+      await searcher.addDocument(Buffer.from("# Release Notes\nThe final version, no draft left. See foo:bar."));
+    });
+
+    it("should search raw input that is invalid FTS5", () => {
+      assert.throws(() => searcher.search("C++ (draft"));
+
+      const { totalCount } = searcher.search("C++ (draft", { queryMode: "simple" });
+      assert.strictEqual(totalCount, 1);
+      assert.strictEqual(searcher.search("foo:bar", { queryMode: "simple" }).totalCount, 1);
+    });
+
+    it("should support phrases, exclusions, fields and prefixes", () => {
+      const titles = (query) => searcher.search(query, { queryMode: "simple", limitSnippets: 1 }).results
+        .map(snippet => snippet.documentTitle);
+
+      assert.deepStrictEqual(titles('"first draft"'), ["C++ Guide"]);
+      assert.deepStrictEqual(titles("draft -version"), ["C++ Guide"]);
+      assert.deepStrictEqual(titles("title:notes draft"), ["Release Notes"]);
+      assert.deepStrictEqual(titles("vers*"), ["Release Notes"]);
+      assert.deepStrictEqual(titles('"unterminated draft'), []);
+    });
+
+    it("should return no results when nothing is left to match", () => {
+      const result = searcher.search("-draft", { queryMode: "simple" });
+      assert.strictEqual(result.totalCount, 0);
+      assert.deepStrictEqual(result.results, []);
+    });
+
+    it("should report structured query errors", () => {
+      const { valid, errors } = searcher.validateQuery("C++ (draft");
+      assert.strictEqual(valid, false);
+      assert.deepStrictEqual(errors.map(error => [error.code, error.position]), [
+        ["INVALID_TERM", 0],
+        ["UNBALANCED_PARENTHESIS", 4]
+      ]);
+
+      assert.strictEqual(searcher.validateQuery("draft AND").errors[0].code, "MISSING_OPERAND");
+      assert.strictEqual(searcher.validateQuery("author:ana").errors[0].code, "UNKNOWN_FIELD");
+      assert.deepStrictEqual(searcher.validateQuery("title:guide OR draft"), { valid: true, errors: [] });
+      assert.deepStrictEqual(searcher.validateQuery("C++ (draft", { queryMode: "simple" }), { valid: true, errors: [] });
+      assert.strictEqual(searcher.validateQuery("-draft", { queryMode: "simple" }).errors[0].code, "EMPTY_QUERY");
+    });
+  });
+
+  describe("Structured queries", () => {
+    before(async () => {
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+
+      await searcher.addDocument(Buffer.from("# Guide\n## SQLite tips\nUse full-text search in SQLite.\n## Other\nUnrelated words."));
+      await searcher.addDocument(Buffer.from("# Drafts\nSQLite full text drafts."));
+    });
+
+    const titles = (query) => searcher.search(query, { limitSnippets: 1 }).results
+      .map(snippet => snippet.documentTitle)
+      .sort();
+
+    it("should compile fields, phrases, prefixes and exclusions", () => {
+      assert.deepStrictEqual(titles({ and: [{ term: "sqlite", field: "h2" }, { phrase: "full text" }] }), ["Guide"]);
+      assert.deepStrictEqual(titles({ and: [{ phrase: "full text" }, { not: { prefix: "draft" } }] }), ["Guide"]);
+      assert.deepStrictEqual(titles({ or: ["guide", { prefix: "draft" }] }), ["Drafts", "Guide"]);
+      assert.deepStrictEqual(titles({ or: ["use", "drafts"], not: "guide" }), ["Drafts"]);
+    });
+
+    it("should support near groups", () => {
+      assert.deepStrictEqual(titles({ near: { terms: ["search", "sqlite"], distance: 2 } }), ["Guide"]);
+      assert.deepStrictEqual(titles({ near: { terms: ["use", "drafts"], distance: 2 } }), []);
+    });
+
+    it("should highlight the terms of the query object", () => {
+      const { results } = searcher.search({ and: [{ phrase: "full text" }, { not: "drafts" }] }, { snippetLength: 20 });
+
+      // One snippet for the phrase (matched across the hyphen), none for its separate words
+      assert.strictEqual(results.length, 1);
+      assert.ok(results[0].text.includes("full-text"));
+    });
+
+    it("should reject invalid query objects", () => {
+      assert.throws(() => searcher.search({ not: "sqlite" }), /must be combined/);
+      assert.throws(() => searcher.search({ term: "sqlite", field: "author" }), /Unknown query field/);
+      assert.throws(() => searcher.search({ match: "sqlite" }), /Unknown query key/);
+
+      const { valid, errors } = searcher.validateQuery({ or: [] });
+      assert.strictEqual(valid, false);
+      assert.strictEqual(errors[0].code, "INVALID_QUERY_OBJECT");
+    });
+  });
+
+  describe("Facets", () => {
+    const spanish = "El río fluye por la montaña y los árboles crecen junto al agua. Los pájaros cantan en la mañana mientras el sol ilumina el valle.";
+
+    before(async () => {
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+
+      await searcher.addDocument(Buffer.from(`---\nauthor: [Ana, Luis]\n---\n# Uno\n${spanish}`), { tags: ["projectX"] });
+      await searcher.addDocument(Buffer.from(`---\nauthor: Ana\n---\n# Dos\n${spanish}`), { tags: ["projectY"] });
+      await searcher.addDocument(Buffer.from(`# Tres\nNothing about that here.`), { tags: ["projectX"] });
+    });
+
+    it("should count facet values among matching documents", () => {
+      const { facets } = searcher.search("rio", { facets: ["tags", "type", "language", "metadata.author"] });
+
+      assert.deepStrictEqual(facets.tags, { spa: 2, projectX: 1, projectY: 1 });
+      assert.deepStrictEqual(facets.type, { md: 2 });
+      assert.deepStrictEqual(facets.language, { spa: 2 });
+      assert.deepStrictEqual(facets["metadata.author"], { Ana: 2, Luis: 1 });
+    });
+
+    it("should compose facets with the tags filter", () => {
+      const { facets } = searcher.search("rio", { tags: "projectX", facets: ["tags", "metadata.author"] });
+
+      assert.deepStrictEqual(facets.tags, { projectX: 1, spa: 1 });
+      assert.deepStrictEqual(facets["metadata.author"], { Ana: 1, Luis: 1 });
+    });
+
+    it("should only return facets when requested", () => {
+      assert.strictEqual(searcher.search("rio").facets, undefined);
+      assert.throws(() => searcher.search("rio", { facets: ["color"] }), /Unknown facet/);
+    });
+  });
+
+  describe("Ranking boosts", () => {
+    const docsDir = path.resolve("./test/db/boost-docs");
+    const body = "Guide to brewing coffee at home.";
+    const ranks = (options) => Object.fromEntries(
+      searcher.search("coffee", { limitSnippets: 1, ...options }).results
+        .map(snippet => [path.basename(snippet.documentPath), snippet.rank])
+    );
+    const close = (a, b) => Math.abs(a - b) < Math.abs(b) * 1e-9;
+
+    before(async () => {
+      fs.mkdirSync(path.join(docsDir, "official"), { recursive: true });
+      fs.writeFileSync(path.join(docsDir, "old.md"), `# Old\n${body}`);
+      fs.writeFileSync(path.join(docsDir, "official", "new.txt"), `New\n\n${body}`);
+      fs.writeFileSync(path.join(docsDir, "tea.md"), "# Tea\nGuide to brewing tea.");
+      const old = new Date(Date.now() - 365 * 86400000);
+      fs.utimesSync(path.join(docsDir, "old.md"), old, old);
+
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+      await searcher.addDocument(docsDir);
+      await searcher.addDocument(Buffer.from(`# Coffee\n${body}`), { tags: ["blog"] });
+    });
+
+    after(() => {
+      fs.rmSync(docsDir, { recursive: true, force: true });
+    });
+
+    it("should override weights for a single search", () => {
+      const plain = ranks();
+      const weighted = ranks({ weights: { title: 20.0 } });
+
+      assert.ok(weighted["old.md"] === plain["old.md"]);
+      const [buffer] = Object.keys(plain).filter(name => !name.includes("."));
+      assert.ok(weighted[buffer] < plain[buffer]);
+      assert.strictEqual(searcher.weights.title, 10.0);
+    });
+
+    it("should multiply the rank by tag, path and type boosts", () => {
+      const plain = ranks();
+      const [buffer] = Object.keys(plain).filter(name => !name.includes("."));
+
+      const tagged = ranks({ boosts: { tags: { blog: 2.0 } } });
+      assert.ok(close(tagged[buffer], plain[buffer] * 2));
+      assert.ok(close(tagged["old.md"], plain["old.md"]));
+
+      const official = ranks({ boosts: { paths: { [path.join(docsDir, "official")]: 3.0 } } });
+      assert.ok(close(official["new.txt"], plain["new.txt"] * 3));
+      assert.ok(close(official["old.md"], plain["old.md"]));
+
+      const typed = ranks({ boosts: { types: { md: 0.5, ".TXT": 2.0 } } });
+      assert.ok(close(typed["old.md"], plain["old.md"] * 0.5));
+      assert.ok(close(typed["new.txt"], plain["new.txt"] * 2));
+      assert.ok(close(typed[buffer], plain[buffer] * 0.5));
+    });
+
+    it("should favour recently modified files", () => {
+      const plain = ranks();
+      const boosted = ranks({ boosts: { recency: { weight: 1.0, halfLife: 30 } } });
+      const [buffer] = Object.keys(plain).filter(name => !name.includes("."));
+
+      assert.ok(boosted["new.txt"] < plain["new.txt"] * 1.99);
+      assert.ok(boosted["old.md"] < plain["old.md"]);
+      assert.ok(boosted["old.md"] > plain["old.md"] * 1.01);
+      assert.ok(close(boosted[buffer], plain[buffer]));
+    });
+
+    it("should apply minScore to the boosted rank", () => {
+      const plain = ranks();
+      const [buffer] = Object.keys(plain).filter(name => !name.includes("."));
+      const minScore = plain[buffer] * 1.5;
+
+      assert.ok(buffer in ranks({ minScore }));
+      assert.ok(!(buffer in ranks({ minScore, boosts: { tags: { blog: 2.0 } } })));
+    });
+
+    it("should reject invalid boosts", () => {
+      assert.throws(() => searcher.search("coffee", { boosts: { color: {} } }), /Unknown boost/);
+      assert.throws(() => searcher.search("coffee", { boosts: { tags: { blog: 0 } } }), /positive number/);
+    });
+  });
+
+  describe("Sorting", () => {
+    const docsDir = path.resolve("./test/db/sort-docs");
+    const titles = (options) => searcher.search("meeting", { limitSnippets: 1, ...options }).results
+      .map(snippet => snippet.documentTitle);
+
+    before(async () => {
+      fs.mkdirSync(docsDir, { recursive: true });
+      const notes = [
+        ["b.md", "Budget", "2024-03-01", 3],
+        ["c.md", "Agenda", "2024-01-15", 1],
+        ["a.md", "Cleanup", null, 2]
+      ];
+      for (const [name, title, date, daysAgo] of notes) {
+        const file = path.join(docsDir, name);
+        const frontMatter = date ? `---\ndate: ${date}\n---\n` : "";
+        fs.writeFileSync(file, `${frontMatter}# ${title}\nNotes from the meeting.`);
+        const mtime = new Date(Date.now() - daysAgo * 86400000);
+        fs.utimesSync(file, mtime, mtime);
+      }
+
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+      await searcher.addDocument(docsDir, { tags: ["journal"] });
+      await searcher.addDocument(Buffer.from("# Zebra meeting\nA meeting about the meeting."), { tags: ["zoo"] });
+    });
+
+    after(() => {
+      fs.rmSync(docsDir, { recursive: true, force: true });
+    });
+
+    it("should sort by rank by default", () => {
+      assert.strictEqual(titles()[0], "Zebra meeting");
+      assert.strictEqual(titles({ order: "desc" }).at(-1), "Zebra meeting");
+    });
+
+    it("should sort by modification time, title and path", () => {
+      assert.deepStrictEqual(titles({ sort: "mtime", order: "desc" }), ["Agenda", "Cleanup", "Budget", "Zebra meeting"]);
+      assert.deepStrictEqual(titles({ sort: "title" }), ["Agenda", "Budget", "Cleanup", "Zebra meeting"]);
+      assert.deepStrictEqual(titles({ sort: "path", tags: "journal", includeUntagged: false }), ["Cleanup", "Budget", "Agenda"]);
+    });
+
+    it("should sort by metadata fields with missing values last", () => {
+      assert.deepStrictEqual(titles({ sort: "metadata.date" }), ["Agenda", "Budget", "Zebra meeting", "Cleanup"]);
+      assert.deepStrictEqual(titles({ sort: "metadata.date", order: "desc" }), ["Budget", "Agenda", "Zebra meeting", "Cleanup"]);
+    });
+
+    it("should page through sorted results", () => {
+      const first = searcher.search("meeting", { sort: "title", limit: 2, limitSnippets: 1 });
+      const second = searcher.search("meeting", { sort: "title", limit: 2, limitSnippets: 1, cursor: first.nextCursor });
+      assert.deepStrictEqual(second.results.map(snippet => snippet.documentTitle), ["Cleanup", "Zebra meeting"]);
+      assert.throws(() => searcher.search("meeting", { sort: "path", limit: 2, limitSnippets: 1, cursor: first.nextCursor }), /cursor/i);
+    });
+
+    it("should page one document at a time through missing sort values", () => {
+      for (const order of ["asc", "desc"]) {
+        const seen = [];
+        let cursor = null;
+        do {
+          const page = searcher.search("meeting", { sort: "metadata.date", order, limit: 1, limitSnippets: 1, cursor });
+          seen.push(...page.results.map(snippet => snippet.documentTitle));
+          cursor = page.nextCursor;
+        } while (cursor);
+        assert.deepStrictEqual(seen, titles({ sort: "metadata.date", order }));
+      }
+    });
+
+    it("should reject unknown sort fields and orders", () => {
+      assert.throws(() => searcher.search("meeting", { sort: "size" }), /Invalid sort/);
+      assert.throws(() => searcher.search("meeting", { sort: "title", order: "up" }), /Invalid order/);
+    });
+  });
+
+  describe("Date ranges", () => {
+    const docsDir = path.resolve("./test/db/journal-docs");
+    const titles = (dateRange) => searcher.search("entry", { dateRange, limitSnippets: 1, sort: "title" }).results
+      .map(snippet => snippet.documentTitle);
+
+    before(async () => {
+      fs.mkdirSync(docsDir, { recursive: true });
+      const entries = [
+        ["2025-04-30.md", "April", "2025-04-30", 90],
+        ["2025-05-02.md", "May", "2025-05-02", 10],
+        ["notes.md", "Undated", null, 1]
+      ];
+      for (const [name, title, date, daysAgo] of entries) {
+        const file = path.join(docsDir, name);
+        const frontMatter = date ? `---\ndate: ${date}\n---\n` : "";
+        fs.writeFileSync(file, `${frontMatter}# ${title}\nJournal entry.`);
+        const mtime = new Date(Date.now() - daysAgo * 86400000);
+        fs.utimesSync(file, mtime, mtime);
+      }
+
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+      await searcher.addDocument(docsDir);
+      await searcher.addDocument(Buffer.from("# Buffer\nJournal entry."));
+    });
+
+    after(() => {
+      fs.rmSync(docsDir, { recursive: true, force: true });
+    });
+
+    it("should filter by modification time with relative expressions", () => {
+      assert.deepStrictEqual(titles("last 30 days"), ["May", "Undated"]);
+      assert.deepStrictEqual(titles({ from: "12 weeks ago", to: "3 days ago" }), ["May"]);
+      assert.deepStrictEqual(titles({ to: new Date(Date.now() - 60 * 86400000) }), ["April"]);
+    });
+
+    it("should filter by front matter dates", () => {
+      assert.deepStrictEqual(titles({ field: "metadata.date", from: "2025-05" }), ["May"]);
+      assert.deepStrictEqual(titles({ field: "metadata.date", to: "2025-04-30" }), ["April"]);
+      assert.deepStrictEqual(titles({ field: "metadata.date", from: "2025", to: "2025" }), ["April", "May"]);
+    });
+
+    it("should filter by dates in file names", () => {
+      assert.deepStrictEqual(titles({ field: "filename", from: "2025-05-01", to: "2025-05-31" }), ["May"]);
+      assert.deepStrictEqual(titles({ field: "filename", from: "2025-04", pattern: "(\\d{4})-(\\d{2})-30" }), ["April"]);
+      assert.deepStrictEqual(titles({ field: "filename", from: "2025", pattern: /(\d{4})-(\d{2})-02\.MD/i }), ["May"]);
+      assert.deepStrictEqual(titles({ field: "filename", from: "2025", pattern: /(\d{4})-(\d{2})-02\.MD/ }), []);
+      assert.throws(() => titles({ field: "filename", from: "2025", pattern: "(\\d{4" }), { name: "InvalidArgumentError" });
+
+      const custom = new SearchMix({ dbPath: TEST_DB_PATH, filenameDatePattern: /(?<year>\d{4})-(?<month>\d{2})-02/ });
+      const { results } = custom.search("entry", { dateRange: { field: "filename", from: "2025" } });
+      custom.close();
+      assert.deepStrictEqual(results.map(snippet => snippet.documentTitle), ["May"]);
+
+      // A global pattern keeps no lastIndex between file names
+      const global = new SearchMix({ dbPath: TEST_DB_PATH, filenameDatePattern: /(\d{4})-(\d{2})-(\d{2})/g });
+      const dated = global.search("entry", { dateRange: { field: "filename", from: "2025" }, sort: "title" });
+      global.close();
+      assert.deepStrictEqual(dated.results.map(snippet => snippet.documentTitle), ["April", "May"]);
+    });
+
+    it("should combine with counts and cursors", () => {
+      const first = searcher.search("entry", { dateRange: "last 100 days", limit: 1 });
+      assert.strictEqual(first.totalCount, 3);
+      const second = searcher.search("entry", { dateRange: "last 100 days", limit: 1, cursor: first.nextCursor });
+      assert.strictEqual(second.results.length, 1);
+    });
+
+    it("should reject invalid ranges", () => {
+      assert.throws(() => titles("soon"), /Invalid date/);
+      assert.throws(() => titles({ field: "size", from: "today" }), /Invalid dateRange field/);
+      assert.throws(() => titles({ field: "mtime" }), /requires "from" or "to"/);
+    });
+  });
+
+  describe("Search inside a document", () => {
+    let bookPath;
+
+    before(async () => {
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+
+      await searcher.addDocument(Buffer.from(`# Book of Whales
+Whales everywhere.
+## Chapter One
+The whale swims. Another whale dives. Then one more whale, and a whale again.
+### Whale Songs
+A whale sings.
+## Chapter Two
+No whale here? One whale.
+`));
+      await searcher.addDocument(Buffer.from("# Other\nA whale elsewhere."));
+      bookPath = searcher.search("title:book").results[0].documentPath;
+    });
+
+    it("should return every match of the document in order", () => {
+      const { results, totalSnippets } = searcher.searchIn(bookPath, "whale", { snippetLength: 20 });
+
+      assert.strictEqual(totalSnippets, results.length);
+      assert.ok(totalSnippets > searcher.search("whale").results.filter(snippet => snippet.documentPath === bookPath).length);
+      assert.ok(results.every(snippet => snippet.documentPath === bookPath));
+
+      // Sections come in document order and are never revisited
+      const sections = results.map(snippet => snippet.sectionId).filter((id, i, ids) => id !== ids[i - 1]);
+      assert.deepStrictEqual(sections, [...new Set(sections)]);
+      assert.deepStrictEqual(sections, [...sections].sort((a, b) => a.slice(1) - b.slice(1)));
+    });
+
+    it("should limit matches to a section and its descendants", () => {
+      const chapter = searcher.searchIn(bookPath, "chapter").results.find(snippet => snippet.heading?.text === "Chapter One");
+      const { results, sectionCounts } = searcher.searchIn(bookPath, "whale", { sectionId: chapter.sectionId, snippetLength: 20 });
+      const songs = chapter.childrenIds[0];
+
+      assert.deepStrictEqual(Object.keys(sectionCounts).sort(), [chapter.sectionId, songs].sort());
+      assert.strictEqual(sectionCounts[chapter.sectionId], 4);
+      assert.strictEqual(sectionCounts[songs], 3);
+      assert.strictEqual(results.length, 7);
+      assert.ok(results.every(snippet => typeof snippet.getBreadcrumbs === "function"));
+    });
+
+    it("should return no matches when the document does not match", () => {
+      assert.deepStrictEqual(searcher.searchIn(bookPath, "dolphin"), { results: [], totalSnippets: 0, sectionCounts: {} });
+      assert.strictEqual(searcher.searchIn("buffer://missing", "whale"), null);
+      assert.throws(() => searcher.searchIn(bookPath, "whale", { sectionId: "s999" }), { name: "NotFoundError", code: "NOT_FOUND" });
+    });
+  });
+
+  describe("Phrase and NEAR snippets", () => {
+    const hits = (query, options) => searcher.search(query, { snippetLength: 40, ...options }).results
+      .flatMap(snippet => snippet.highlights.map(({ start, end }) => snippet.text.slice(start, end)));
+
+    before(async () => {
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+
+      await searcher.addDocument(Buffer.from(`# Notes
+Machine learning is everywhere. A learning machine is different.
+The red planet Mars, seen through a telescope tonight.
+Neural networks and deep models.`));
+    });
+
+    it("should match phrases as sequences", () => {
+      assert.deepStrictEqual(hits('"machine learning"'), ["Machine learning"]);
+      assert.deepStrictEqual(hits('body:"learning machine"'), ["learning machine"]);
+    });
+
+    it("should never return snippets for negated terms", () => {
+      const { results } = searcher.search("machine NOT telescope*", { snippetLength: 40 });
+      assert.strictEqual(results.length, 0);
+
+      const kept = hits("(machine OR neural) NOT (robot OR android)");
+      assert.deepStrictEqual(kept, ["Machine", "machine", "Neural"]);
+    });
+
+    it("should match NEAR groups as windows in any order", () => {
+      const { results } = searcher.search("NEAR(mars telescope, 5)", { snippetLength: 40 });
+      assert.strictEqual(results.length, 1);
+      assert.deepStrictEqual(hits("NEAR(telescope mars, 5)"), ["Mars", "telescope"]);
+      assert.deepStrictEqual(hits("NEAR(telescope mars, 5) OR neural"), ["Mars", "telescope", "Neural"]);
+    });
+
+    it("should apply to structured queries", () => {
+      assert.deepStrictEqual(hits({ near: { terms: ["mars", "telescope"], distance: 5 } }), ["Mars", "telescope"]);
+    });
+  });
+
+  describe("Snippet ranking", () => {
+    const filler = "Nothing relevant in this sentence at all. ".repeat(4);
+
+    before(async () => {
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+
+      await searcher.addDocument(Buffer.from(`# Coffee Notes
+## Tea
+Brewing basics come first. ${filler}
+A note on water. ${filler}
+The best brewing water for coffee is soft water.
+${filler}Brewing again, and brewing once more.`));
+    });
+
+    it("should return the snippet covering every term first", () => {
+      const { results } = searcher.search("brewing water coffee", { snippetLength: 60, limitSnippets: 1 });
+      assert.ok(results[0].text.includes("The best brewing water for coffee"));
+    });
+
+    it("should score snippets best-first", () => {
+      const { results } = searcher.search("brewing water coffee", { snippetLength: 60 });
+      const scores = results.map(snippet => snippet.score);
+
+      assert.ok(scores.every(score => score > 0 && score <= 1));
+      assert.deepStrictEqual(scores, [...scores].sort((a, b) => b - a));
+      assert.strictEqual(results[0].toJSON().score, scores[0]);
+    });
+
+    it("should merge matches that fit in one window", () => {
+      const short = searcher.search("brewing", { snippetLength: 10, limitSnippets: 10 }).results;
+      const long = searcher.search("brewing", { snippetLength: 80, limitSnippets: 10 }).results;
+
+      assert.strictEqual(short.length, 4);
+      assert.strictEqual(long.length, 3);
+      const merged = long.find(snippet => snippet.highlights.length === 2);
+      assert.ok(merged.text.includes("Brewing again, and brewing once more."));
+    });
+
+    it("should keep one snippet per match in searchIn()", () => {
+      const { results } = searcher.searchIn(searcher.search("brewing").results[0].documentPath, "brewing", { snippetLength: 80 });
+      assert.strictEqual(results.length, 4);
+    });
+  });
+
+  describe("Snippet boundaries", () => {
+    let docPath;
+
+    before(async () => {
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+
+      await searcher.addDocument(Buffer.from(`# Garden Notes
+## Roses
+Gardens need patience. Roses want **full sun** and a [rich soil](https://example.com/soil) to bloom. Water them in the morning.
+
+A second paragraph about pruning in late winter.`));
+      docPath = searcher.search("roses").results[0].documentPath;
+    });
+
+    it("should cut snippets on whole words by default", () => {
+      const [snippet] = searcher.search("pruning", { snippetLength: 30 }).results;
+      assert.strictEqual(snippet.text, "...about pruning in late...");
+    });
+
+    it("should align snippets to sentences, paragraphs and content blocks", () => {
+      const sentence = searcher.search("morning", { snippetLength: 40, snippetBoundary: "sentence" }).results[0];
+      assert.strictEqual(sentence.text, "Water them in the morning.");
+      assert.deepStrictEqual(sentence.highlights, [{ start: 18, end: 25, term: "morning" }]);
+
+      const paragraph = searcher.search("pruning", { snippetLength: 30, snippetBoundary: "paragraph" }).results[0];
+      assert.strictEqual(paragraph.text, "A second paragraph about pruning in late winter.");
+
+      const block = searcher.search("patience", { snippetLength: 140, snippetBoundary: "block" }).results[0];
+      assert.strictEqual(block.text, "Gardens need patience. Roses want full sun and a rich soil to bloom. Water them in the morning.");
+    });
+
+    it("should strip markdown and skip matches in link URLs", () => {
+      const { results } = searcher.search("soil", { snippetLength: 20 });
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(results[0].text, "...a rich soil...");
+    });
+
+    it("should keep text that only looks like markdown", () => {
+      assert.strictEqual(stripMarkdown("2 * 3 = 6 and a*b"), "2 * 3 = 6 and a*b");
+      assert.strictEqual(stripMarkdown("b) is the answer"), "b) is the answer");
+      assert.strictEqual(stripMarkdown("call __init__ from my_module"), "call __init__ from my_module");
+      assert.strictEqual(stripMarkdown("**full sun** and _rich_ `soil`"), "full sun and rich soil");
+      assert.strictEqual(stripMarkdown("sun** and a [rich soil](https://example"), "sun and a rich soil");
+    });
+
+    it("should not start snippets inside link URLs", () => {
+      const { results } = searcher.search("bloom", { snippetLength: 40 });
+      assert.strictEqual(results[0].text, "...to bloom. Water them in...");
+    });
+
+    it("should pass snippetBoundary through searchIn()", () => {
+      const { results } = searcher.searchIn(docPath, "pruning", { snippetLength: 30, snippetBoundary: "paragraph" });
+      assert.strictEqual(results[0].text, "A second paragraph about pruning in late winter.");
+    });
+
+    it("should reject unknown boundaries", () => {
+      assert.throws(() => searcher.search("roses", { snippetBoundary: "line" }), /Invalid snippetBoundary/);
+      assert.throws(() => searcher.searchIn(docPath, "roses", { snippetBoundary: "line" }), /Invalid snippetBoundary/);
+    });
+  });
+
+  describe("Spelling suggestions", () => {
+    before(async () => {
+      searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+      searcher.clear();
+
+      await searcher.addDocument(Buffer.from(`# Astronomy
+Mars is the red planet. Jupiter is a gas giant seen through a telescope.`), { tags: ["space"] });
+      await searcher.addDocument(Buffer.from(`# Telescopes
+A telescope collects light with mirrors and lenses.`));
+    });
+
+    it("should correct words missing from the index", () => {
+      const [best, next] = searcher.suggest("telscope");
+
+      assert.deepStrictEqual(best, {
+        query: "telescope",
+        corrections: [{ word: "telscope", suggestion: "telescope", distance: 1 }],
+        count: 2
+      });
+      assert.strictEqual(next.query, "telescopes");
+    });
+
+    it("should keep FTS5 syntax and known words", () => {
+      const suggestions = searcher.suggest("jupyter OR marz NOT light");
+      assert.strictEqual(suggestions[0].query, "jupiter OR mars NOT light");
+      assert.deepStrictEqual(searcher.suggest("mars OR title:astronomy"), []);
+      assert.deepStrictEqual(searcher.suggest("telescope"), []);
+    });
+
+    it("should only correct words that simple mode searches", () => {
+      assert.deepStrictEqual(searcher.suggest("telscope -marz", { queryMode: "simple" }).map(s => s.query), ["telescope -marz", "telescopes -marz"]);
+      assert.strictEqual(searcher.suggest("gas:giamt", { queryMode: "simple" })[0].query, "gas:giant");
+      assert.strictEqual(searcher.suggest("title:astronmy", { queryMode: "simple" })[0].query, "title:astronomy");
+    });
+
+    it("should only suggest queries that match documents", () => {
+      assert.deepStrictEqual(searcher.suggest("telscope mirors lenses giant"), []);
+      assert.deepStrictEqual(searcher.suggest("zzzzzz"), []);
+    });
+
+    it("should add suggestions to searches with few hits", () => {
+      const { results, suggestions } = searcher.search("telscope", { suggestBelow: 3 });
+      assert.strictEqual(results.length, 0);
+      assert.strictEqual(suggestions[0].query, "telescope");
+
+      const filtered = searcher.search("telscope", { suggestBelow: 3, tags: { all: ["space"] }, includeUntagged: false });
+      assert.strictEqual(filtered.suggestions[0].count, 1);
+
+      assert.strictEqual(searcher.search("telscope").suggestions, undefined);
+      assert.deepStrictEqual(searcher.search("telescope", { suggestBelow: 3 }).suggestions, []);
+      assert.strictEqual(searcher.search("telescope", { suggestBelow: 2 }).suggestions, undefined);
+    });
+
+    it("should not count suggestion matches without count", () => {
+      const { suggestions } = searcher.search("telscope mirors", { suggestBelow: 3, count: false });
+      assert.strictEqual(suggestions[0].query, "telescope mirrors");
+      assert.strictEqual(suggestions[0].count, null);
+    });
+
+    it("should correct words anywhere in a large vocabulary", async () => {
+      // 120,000 terms from a to m before "zebra"
+      const letters = "abcdefghijklm";
+      const words = Array.from({ length: 120000 }, (_, i) =>
+        Array.from({ length: 5 }, (_, k) => letters[Math.floor(i / 13 ** k) % 13]).join(""));
+      searcher.clear();
+      await searcher.addDocument(Buffer.from(`# Terms\n${words.join(" ")}\n\nA zebra.`));
+
+      assert.strictEqual(searcher.suggest("zebar")[0].query, "zebra");
+      assert.strictEqual(searcher.suggest("xebra")[0].query, "zebra");
+      assert.strictEqual(searcher.suggest("ezbra")[0].query, "zebra");
+    });
+  });
 });
@@ -0,0 +1,272 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import SearchMix, { createServer } from "../index.js";
+
+const TEST_DB_PATH = "./test/db/server-test.db";
+const TEST_DB_DIR = path.dirname(TEST_DB_PATH);
+
+/**
+ * Start a server on a random port and return its base URL
+ */
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve(`http://127.0.0.1:${server.address().port}`);
+    });
+  });
+}
+
+describe("HTTP server", () => {
+  let searcher;
+  let server;
+  let readOnlyServer;
+  let baseUrl;
+  let readOnlyUrl;
+  let docPath;
+
+  before(async () => {
+    if (!fs.existsSync(TEST_DB_DIR)) {
+      fs.mkdirSync(TEST_DB_DIR, { recursive: true });
+    }
+
+    searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+    searcher.clear();
+    await searcher.addDocument(Buffer.from(`
+# Astronomy Notes
+## Planets
+### Mars
+Mars is the red planet.
+### Venus
+Venus is the hottest planet.
+`), { tags: ["science"] });
+    docPath = searcher.search("mars").results[0].documentPath;
+
+    server = createServer(searcher, { cors: ["http://app.local"] });
+    readOnlyServer = createServer(searcher, { cors: true, readOnly: true });
+    baseUrl = await listen(server);
+    readOnlyUrl = await listen(readOnlyServer);
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => readOnlyServer.close(resolve));
+    searcher.close();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+  });
+
+  it("should return serialized snippets from /search", async () => {
+    const res = await fetch(`${baseUrl}/search?q=mars&tags=science`);
+    assert.strictEqual(res.status, 200);
+
+    const body = await res.json();
+    assert.strictEqual(body.totalCount, 1);
+    assert.strictEqual(body.results[0].documentPath, docPath);
+    assert.ok(body.results[0].sectionId);
+  });
+
+  it("should apply boolean tag filters", async () => {
+    const excluded = await (await fetch(`${baseUrl}/search?q=mars&tagsNone=science`)).json();
+    assert.strictEqual(excluded.totalCount, 0);
+
+    const required = await (await fetch(`${baseUrl}/search?q=mars&tagsAll=science&includeUntagged=false`)).json();
+    assert.strictEqual(required.totalCount, 1);
+  });
+
+  it("should answer malformed FTS5 queries with 400", async () => {
+    const res = await fetch(`${baseUrl}/search?q=${encodeURIComponent('"unclosed')}`);
+    assert.strictEqual(res.status, 400);
+
+    const body = await res.json();
+    assert.strictEqual(body.error.code, "INVALID_QUERY");
+  });
+
+  it("should search and validate raw input", async () => {
+    const simple = await (await fetch(`${baseUrl}/search?q=${encodeURIComponent("mars (red")}&queryMode=simple`)).json();
+    assert.strictEqual(simple.totalCount, 1);
+
+    const validation = await (await fetch(`${baseUrl}/validate?q=${encodeURIComponent("mars (red")}`)).json();
+    assert.strictEqual(validation.valid, false);
+    assert.strictEqual(validation.errors[0].code, "UNBALANCED_PARENTHESIS");
+  });
+
+  it("should page results with cursors", async () => {
+    const first = await (await fetch(`${baseUrl}/search?q=planet&pageBy=snippet&limit=1&snippetLength=20`)).json();
+    assert.strictEqual(first.results.length, 1);
+    assert.ok(first.nextCursor);
+
+    const second = await (await fetch(`${baseUrl}/search?q=planet&pageBy=snippet&limit=1&snippetLength=20&cursor=${first.nextCursor}`)).json();
+    assert.notStrictEqual(second.results[0].position, first.results[0].position);
+
+    const invalid = await fetch(`${baseUrl}/search?q=mars&cursor=${first.nextCursor}`);
+    assert.strictEqual(invalid.status, 400);
+  });
+
+  it("should group results by document", async () => {
+    const body = await (await fetch(`${baseUrl}/search?q=planet&groupBy=document`)).json();
+    assert.strictEqual(body.results.length, 1);
+    assert.strictEqual(body.results[0].document.path, docPath);
+    assert.strictEqual(body.results[0].matchCount, 2);
+    assert.ok(body.results[0].snippets[0].sectionId);
+  });
+
+  it("should return requested facets", async () => {
+    const body = await (await fetch(`${baseUrl}/search?q=planet&facets=tags,type`)).json();
+    assert.deepStrictEqual(body.facets, { tags: { science: 1 }, type: { md: 1 } });
+
+    const invalid = await fetch(`${baseUrl}/search?q=planet&facets=color`);
+    assert.strictEqual(invalid.status, 400);
+  });
+
+  it("should sort results", async () => {
+    const body = await (await fetch(`${baseUrl}/search?q=planet&sort=title&order=desc`)).json();
+    assert.strictEqual(body.results[0].documentPath, docPath);
+
+    const invalid = await fetch(`${baseUrl}/search?q=planet&sort=size`);
+    assert.strictEqual(invalid.status, 400);
+  });
+
+  it("should filter by date range", async () => {
+    const body = await (await fetch(`${baseUrl}/search?q=mars&dateFrom=2020-01-01&dateField=mtime`)).json();
+    assert.strictEqual(body.totalCount, 0);
+
+    const invalid = await fetch(`${baseUrl}/search?q=mars&dateFrom=soon`);
+    assert.strictEqual(invalid.status, 400);
+  });
+
+  it("should accept weights and boosts as JSON", async () => {
+    const plain = await (await fetch(`${baseUrl}/search?q=mars&limitSnippets=1`)).json();
+    const boosts = encodeURIComponent(JSON.stringify({ tags: { science: 2.0 } }));
+    const boosted = await (await fetch(`${baseUrl}/search?q=mars&limitSnippets=1&boosts=${boosts}`)).json();
+    assert.ok(boosted.results[0].rank < plain.results[0].rank);
+
+    const invalid = await fetch(`${baseUrl}/search?q=mars&weights=title`);
+    assert.strictEqual(invalid.status, 400);
+  });
+
+  it("should suggest spelling corrections", async () => {
+    const body = await (await fetch(`${baseUrl}/search?q=venuss&suggestBelow=3`)).json();
+    assert.strictEqual(body.totalCount, 0);
+    assert.strictEqual(body.suggestions[0].query, "venus");
+
+    const suggest = await (await fetch(`${baseUrl}/suggest?q=marss&limit=1`)).json();
+    assert.deepStrictEqual(suggest.suggestions.map(suggestion => suggestion.query), ["mars"]);
+
+    const missing = await fetch(`${baseUrl}/suggest`);
+    assert.strictEqual(missing.status, 400);
+
+    const invalid = await fetch(`${baseUrl}/suggest?q=marss&queryMode=bogus`);
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual((await invalid.json()).error.code, "INVALID_PARAMETER");
+  });
+
+  it("should reject a minScore that is not a number", async () => {
+    const invalid = await fetch(`${baseUrl}/search?q=mars&minScore=abc`);
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual((await invalid.json()).error.code, "INVALID_PARAMETER");
+  });
+
+  it("should answer request URLs that cannot be parsed with 400", async () => {
+    // fetch() normalizes URLs, so send the raw request line
+    const status = await new Promise((resolve, reject) => {
+      const { hostname, port } = new URL(baseUrl);
+      http.get({ hostname, port, path: "//x:y@/" }, res => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on("error", reject);
+    });
+    assert.strictEqual(status, 400);
+    assert.strictEqual((await fetch(`${baseUrl}/stats`)).status, 200);
+  });
+
+  it("should reject document bodies that are not JSON objects with a path", async () => {
+    for (const body of ["null", "[]", '"notes.md"', '{"path": 42}']) {
+      const res = await fetch(`${baseUrl}/documents`, { method: "POST", body });
+      assert.strictEqual(res.status, 400, body);
+    }
+  });
+
+  it("should validate snippet boundaries", async () => {
+    const invalid = await fetch(`${baseUrl}/search?q=mars&snippetBoundary=line`);
+    assert.strictEqual(invalid.status, 400);
+  });
+
+  it("should answer unexpected errors with 500", async () => {
+    const broken = createServer({ search: () => { throw new TypeError("boom"); } });
+    const url = await listen(broken);
+    try {
+      const res = await fetch(`${url}/search?q=mars`);
+      assert.strictEqual(res.status, 500);
+      assert.strictEqual((await res.json()).error.code, "INTERNAL_ERROR");
+    } finally {
+      await new Promise(resolve => broken.close(resolve));
+    }
+  });
+
+  it("should search inside a document", async () => {
+    const query = `path=${encodeURIComponent(docPath)}`;
+    const body = await (await fetch(`${baseUrl}/documents/search?${query}&q=planet`)).json();
+    assert.strictEqual(body.totalSnippets, 2);
+    assert.ok(body.results[0].sectionId);
+
+    const sentence = await (await fetch(`${baseUrl}/documents/search?${query}&q=red&snippetLength=30&snippetBoundary=sentence`)).json();
+    assert.strictEqual(sentence.results[0].text, "Mars is the red planet.");
+
+    const missing = await fetch(`${baseUrl}/documents/search?${query}&q=planet&sectionId=s999`);
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it("should navigate sections by path and id", async () => {
+    const { results } = await (await fetch(`${baseUrl}/search?q=mars`)).json();
+    const mars = results.find(result => result.heading?.text === "Mars");
+    const query = `?path=${encodeURIComponent(docPath)}`;
+
+    const parent = await (await fetch(`${baseUrl}/sections/${mars.sectionId}/parent${query}`)).json();
+    assert.strictEqual(parent.text, "Planets");
+
+    const siblings = await (await fetch(`${baseUrl}/sections/${mars.sectionId}/siblings${query}`)).json();
+    assert.deepStrictEqual(siblings.map(s => s.text), ["Venus"]);
+
+    const crumbs = await (await fetch(`${baseUrl}/sections/${mars.sectionId}/breadcrumbs${query}`)).json();
+    assert.deepStrictEqual(crumbs.map(c => c.text), ["Astronomy Notes", "Planets", "Mars"]);
+
+    const missing = await fetch(`${baseUrl}/sections/s999${query}`);
+    assert.strictEqual(missing.status, 404);
+
+    const malformed = await fetch(`${baseUrl}/sections/%E0${query}`);
+    assert.strictEqual(malformed.status, 400);
+    assert.strictEqual((await malformed.json()).error.code, "INVALID_PARAMETER");
+  });
+
+  it("should return documents and stats", async () => {
+    const doc = await (await fetch(`${baseUrl}/documents?path=${encodeURIComponent(docPath)}`)).json();
+    assert.strictEqual(doc.title, "Astronomy Notes");
+
+    const stats = await (await fetch(`${baseUrl}/stats`)).json();
+    assert.strictEqual(stats.totalDocs, 1);
+  });
+
+  it("should only allow configured CORS origins", async () => {
+    const allowed = await fetch(`${baseUrl}/stats`, { headers: { Origin: "http://app.local" } });
+    assert.strictEqual(allowed.headers.get("access-control-allow-origin"), "http://app.local");
+
+    const denied = await fetch(`${baseUrl}/stats`, { headers: { Origin: "http://evil.local" } });
+    assert.strictEqual(denied.headers.get("access-control-allow-origin"), null);
+  });
+
+  it("should reject writes in read-only mode", async () => {
+    const res = await fetch(`${readOnlyUrl}/documents?tag=science`, { method: "DELETE" });
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(searcher.getStats().totalDocs, 1);
+  });
+
+  it("should remove documents by tag", async () => {
+    const res = await fetch(`${baseUrl}/documents?tag=science`, { method: "DELETE" });
+    const body = await res.json();
+    assert.strictEqual(body.removed, 1);
+  });
+});
@@ -292,4 +292,44 @@ Keep learning and practicing.
       assert.ok(long.length >= short.length);
     });
   });
+
+  describe("Highlights", () => {
+    before(async () => {
+      await searcher.addDocument(Buffer.from("# Viaje a París\nLa canción de PARÍS y París <3. Visité Me\u0301xico y Parisina."));
+    });
+
+    const find = (query, options) => searcher.search(query, { snippetLength: 500, ...options }).results
+      .find(snippet => snippet.documentTitle === "Viaje a París" && snippet.section !== "title");
+
+    it("should locate matches in the original accented text", () => {
+      const snippet = find("paris");
+      const hits = snippet.highlights.map(({ start, end }) => snippet.text.slice(start, end));
+
+      assert.deepStrictEqual(hits, ["París", "PARÍS", "París"]);
+      assert.ok(snippet.highlights.every(highlight => highlight.term === "paris"));
+    });
+
+    it("should keep decomposed accents inside the highlight", () => {
+      const snippet = find("mexico");
+      const [highlight] = snippet.highlights;
+      assert.strictEqual(snippet.text.slice(highlight.start, highlight.end), "Me\u0301xico");
+    });
+
+    it("should merge overlapping terms and cover phrases", () => {
+      const snippet = find("paris pari*");
+      const hits = snippet.highlights.map(({ start, end }) => snippet.text.slice(start, end));
+      assert.deepStrictEqual(hits, ["París", "PARÍS", "París", "Parisina"]);
+
+      const phrase = find({ phrase: "cancion de paris" });
+      assert.strictEqual(phrase.text.slice(phrase.highlights[0].start, phrase.highlights[0].end), "canción de PARÍS");
+    });
+
+    it("should render HTML and Markdown", () => {
+      const snippet = find("mexico");
+      assert.ok(snippet.toHTML().includes("París &lt;3. Visité <mark>Me\u0301xico</mark> y"));
+      assert.ok(snippet.toHTML({ pre: "<b>", post: "</b>" }).includes("<b>Me\u0301xico</b>"));
+      assert.ok(snippet.toMarkdown().includes("París <3. Visité **Me\u0301xico** y"));
+      assert.deepStrictEqual(snippet.toJSON().highlights, snippet.highlights);
+    });
+  });
 });
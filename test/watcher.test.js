@@ -0,0 +1,102 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import path from "node:path";
+import SearchMix from "../index.js";
+
+const TEST_DB_PATH = "./test/db/watcher-test.db";
+const TEST_WATCH_DIR = path.resolve("./test/db/watched");
+
+/**
+ * Wait for a change event matching the predicate
+ */
+function waitForChange(watcher, predicate, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      watcher.off("change", onChange);
+      reject(new Error("Timed out waiting for change"));
+    }, timeout);
+
+    const onChange = (change) => {
+      if (predicate(change)) {
+        clearTimeout(timer);
+        watcher.off("change", onChange);
+        resolve(change);
+      }
+    };
+    watcher.on("change", onChange);
+  });
+}
+
+describe("Watch mode", () => {
+  let searcher;
+  let watcher;
+
+  before(() => {
+    fs.rmSync(TEST_WATCH_DIR, { recursive: true, force: true });
+    fs.mkdirSync(path.join(TEST_WATCH_DIR, "ignored"), { recursive: true });
+
+    searcher = new SearchMix({ dbPath: TEST_DB_PATH });
+    searcher.clear();
+    watcher = searcher.watch(TEST_WATCH_DIR, { tags: ["watched"], exclude: ["ignored"], debounce: 50 });
+  });
+
+  after(async () => {
+    await watcher.close();
+    searcher.close();
+    fs.rmSync(TEST_WATCH_DIR, { recursive: true, force: true });
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+  });
+
+  it("should index created files", async () => {
+    const file = path.join(TEST_WATCH_DIR, "note.md");
+    const added = waitForChange(watcher, change => change.path === file);
+    fs.writeFileSync(file, "# Note\nThe first draft mentions apples.");
+
+    assert.deepStrictEqual(await added, { type: "add", path: file });
+    assert.strictEqual(searcher.search("apples").totalCount, 1);
+    assert.deepStrictEqual(searcher.getTags(file), ["watched"]);
+  });
+
+  it("should reindex modified files", async () => {
+    const file = path.join(TEST_WATCH_DIR, "note.md");
+    const updated = waitForChange(watcher, change => change.type === "update");
+    fs.writeFileSync(file, "# Note\nThe second draft mentions oranges.");
+
+    assert.strictEqual((await updated).path, file);
+    assert.strictEqual(searcher.search("apples").totalCount, 0);
+    assert.strictEqual(searcher.search("oranges").totalCount, 1);
+  });
+
+  it("should handle renamed files", async () => {
+    const from = path.join(TEST_WATCH_DIR, "note.md");
+    const to = path.join(TEST_WATCH_DIR, "renamed.md");
+    const renamed = waitForChange(watcher, change => change.path === to);
+    fs.renameSync(from, to);
+
+    assert.deepStrictEqual(await renamed, { type: "rename", from, path: to });
+    assert.strictEqual(searcher.hasDocument(from), false);
+    assert.strictEqual(searcher.hasDocument(to), true);
+  });
+
+  it("should ignore excluded paths", async () => {
+    fs.writeFileSync(path.join(TEST_WATCH_DIR, "ignored", "secret.md"), "# Secret\nHidden bananas.");
+    const file = path.join(TEST_WATCH_DIR, "visible.md");
+    const added = waitForChange(watcher, change => change.path === file);
+    fs.writeFileSync(file, "# Visible\nPublic bananas.");
+
+    await added;
+    assert.strictEqual(searcher.search("bananas").totalCount, 1);
+  });
+
+  it("should remove deleted files", async () => {
+    const file = path.join(TEST_WATCH_DIR, "renamed.md");
+    const removed = waitForChange(watcher, change => change.type === "remove");
+    fs.unlinkSync(file);
+
+    assert.strictEqual((await removed).path, file);
+    assert.strictEqual(searcher.search("oranges").totalCount, 0);
+  });
+});